@@ -0,0 +1,43 @@
+/**
+ * JWKS Endpoint
+ * 
+ * GET /.well-known/jwks.json - Public key untuk verifikasi access token
+ * oleh service lain (tanpa berbagi secret). Key HS256 tidak pernah dipublish.
+ */
+
+import { createPublicKey } from 'crypto';
+import { NextResponse } from 'next/server';
+import { JWT_KEYS } from '@/lib/jwtKeys.js';
+import { internalServerErrorResponse } from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+
+
+async function getJwksHandler() {
+  try {
+    const keys = JWT_KEYS.map(key => ({
+      ...createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }));
+
+    return NextResponse.json(
+      { keys },
+      {
+        status: 200,
+        headers: {
+          'Cache-Control': 'public, max-age=300'
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('Get JWKS error:', error);
+    return internalServerErrorResponse('Failed to retrieve JWKS', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, getJwksHandler);
+}
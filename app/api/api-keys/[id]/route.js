@@ -0,0 +1,50 @@
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { API_KEY_SELECT } from '@/lib/apiKey.js';
+import {
+  successResponse,
+  notFoundResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function revokeApiKeyHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id },
+      select: { id: true, userId: true, revokedAt: true }
+    });
+
+    // key milik user lain dianggap tidak ada
+    if (!apiKey || apiKey.userId !== user.id) {
+      return notFoundResponse('API key not found');
+    }
+
+    const revoked = await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: apiKey.revokedAt || new Date() },
+      select: API_KEY_SELECT
+    });
+
+    return successResponse(revoked, 'API key revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return internalServerErrorResponse('Failed to revoke API key', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => revokeApiKeyHandler(authedReq, context))
+    )
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * API Key Endpoints
+ * 
+ * GET /api/api-keys - List API key milik user
+ * POST /api/api-keys - Buat API key baru (key hanya ditampilkan sekali)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { createApiKey, API_KEY_SCOPES, API_KEY_SELECT } from '@/lib/apiKey.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required'),
+  expiresAt: z.string().datetime().optional().nullable()
+});
+
+
+async function getApiKeysHandler(request) {
+  try {
+    const user = request.user;
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: user.id },
+      select: API_KEY_SELECT,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    return successResponse(apiKeys, 'API keys retrieved successfully');
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    return internalServerErrorResponse('Failed to retrieve API keys', error);
+  }
+}
+
+
+async function createApiKeyHandler(request) {
+  try {
+    const user = request.user;
+    const body = await request.json();
+
+    const validation = createApiKeySchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { name, scopes, expiresAt } = validation.data;
+
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+      return badRequestResponse('Validation failed', {
+        expiresAt: ['Expiry must be in the future']
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    return createdResponse(
+      { ...apiKey, key },
+      'API key created successfully. Copy it now, it will not be shown again.'
+    );
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    return internalServerErrorResponse('Failed to create API key', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getApiKeysHandler)
+    )
+  );
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, createApiKeyHandler)
+    )
+  );
+}
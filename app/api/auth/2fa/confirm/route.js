@@ -0,0 +1,80 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  TWO_FACTOR_SELECT,
+  verifyUserTotp,
+  regenerateRecoveryCodes
+} from '@/lib/twoFactor.js';
+import {
+  successResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const confirmSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+async function confirmHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = confirmSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: TWO_FACTOR_SELECT
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return conflictResponse('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      return badRequestResponse('Start two-factor enrollment first');
+    }
+
+    const isValid = await verifyUserTotp(user, validation.data.code);
+
+    if (!isValid) {
+      return badRequestResponse('Invalid verification code');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabledAt: new Date() }
+    });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    return successResponse(
+      { recoveryCodes },
+      'Two-factor authentication enabled. Store these recovery codes somewhere safe.'
+    );
+
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    return internalServerErrorResponse('Failed to enable two-factor authentication', error);
+  }
+}
+
+
+const confirmRateLimit = createRateLimit(5, 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    confirmRateLimit(req, (r) =>
+      withAuth(r, confirmHandler)
+    )
+  );
+}
@@ -0,0 +1,72 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { verifyPassword } from '@/lib/password.js';
+import {
+  TWO_FACTOR_SELECT,
+  verifySecondFactor,
+  disableTwoFactor
+} from '@/lib/twoFactor.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const disableSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: z.string().min(1, 'Code is required')
+});
+
+async function disableHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = disableSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { password, code } = validation.data;
+
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: TWO_FACTOR_SELECT
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return badRequestResponse('Two-factor authentication is not enabled');
+    }
+
+    const isPasswordValid = await verifyPassword(password, user.password);
+    const isCodeValid = isPasswordValid && await verifySecondFactor(user, code);
+
+    if (!isCodeValid) {
+      return badRequestResponse('Invalid password or code');
+    }
+
+    await disableTwoFactor(user.id);
+
+    return successResponse(null, 'Two-factor authentication disabled');
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    return internalServerErrorResponse('Failed to disable two-factor authentication', error);
+  }
+}
+
+
+const disableRateLimit = createRateLimit(5, 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    disableRateLimit(req, (r) =>
+      withAuth(r, disableHandler)
+    )
+  );
+}
@@ -0,0 +1,45 @@
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { startEnrollment } from '@/lib/twoFactor.js';
+import {
+  successResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+async function enrollHandler(request) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: { id: true, email: true, twoFactorEnabledAt: true }
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return conflictResponse('Two-factor authentication is already enabled');
+    }
+
+    // secret belum aktif sampai dikonfirmasi lewat /api/auth/2fa/confirm
+    const enrollment = await startEnrollment(user);
+
+    return successResponse(
+      enrollment,
+      'Scan the QR code with your authenticator app, then confirm with a code'
+    );
+
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    return internalServerErrorResponse('Failed to start two-factor enrollment', error);
+  }
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, enrollHandler)
+    )
+  );
+}
@@ -0,0 +1,70 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  TWO_FACTOR_SELECT,
+  verifyUserTotp,
+  regenerateRecoveryCodes
+} from '@/lib/twoFactor.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const regenerateSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+async function regenerateRecoveryCodesHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = regenerateSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: TWO_FACTOR_SELECT
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return badRequestResponse('Two-factor authentication is not enabled');
+    }
+
+    const isValid = await verifyUserTotp(user, validation.data.code);
+
+    if (!isValid) {
+      return badRequestResponse('Invalid verification code');
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    return successResponse(
+      { recoveryCodes },
+      'Recovery codes regenerated. Previous codes are no longer valid.'
+    );
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    return internalServerErrorResponse('Failed to regenerate recovery codes', error);
+  }
+}
+
+
+const regenerateRateLimit = createRateLimit(5, 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    regenerateRateLimit(req, (r) =>
+      withAuth(r, regenerateRecoveryCodesHandler)
+    )
+  );
+}
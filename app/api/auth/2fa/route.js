@@ -0,0 +1,53 @@
+/**
+ * Two-Factor Authentication Endpoints
+ * 
+ * GET /api/auth/2fa - Status 2FA user
+ * POST /api/auth/2fa/enroll - Buat secret baru + otpauth URI
+ * POST /api/auth/2fa/confirm - Aktifkan 2FA dengan kode pertama, dapat recovery codes
+ * POST /api/auth/2fa/disable - Matikan 2FA (password + kode)
+ * POST /api/auth/2fa/recovery-codes - Generate ulang recovery codes
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  successResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function getTwoFactorStatusHandler(request) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: {
+        twoFactorEnabledAt: true,
+        twoFactorRecoveryCodes: true
+      }
+    });
+
+    return successResponse(
+      {
+        enabled: Boolean(user.twoFactorEnabledAt),
+        enabledAt: user.twoFactorEnabledAt,
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      },
+      'Two-factor status retrieved successfully'
+    );
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    return internalServerErrorResponse('Failed to retrieve two-factor status', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getTwoFactorStatusHandler)
+    )
+  );
+}
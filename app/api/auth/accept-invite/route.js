@@ -0,0 +1,62 @@
+
+import { z } from 'zod';
+import { acceptInvitation } from '@/lib/invitation.js';
+import {
+  createdResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const acceptInviteSchema = z.object({
+  token: z.string().min(1, 'Invitation token is required'),
+  name: z.string().min(2, 'Name must be at least 2 characters'),
+  password: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+async function acceptInviteHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = acceptInviteSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { token, name, password } = validation.data;
+
+    let user;
+    try {
+      user = await acceptInvitation(token, { name, password });
+    } catch (error) {
+      if (error.name === 'InvitationError') {
+        return badRequestResponse(error.message);
+      }
+      throw error;
+    }
+
+    return createdResponse(user, 'Invitation accepted. Your account has been created.');
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+
+    if (error.code === 'P2002') {
+      return conflictResponse('Email already registered');
+    }
+
+    return internalServerErrorResponse('Failed to accept invitation', error);
+  }
+}
+
+
+const acceptInviteRateLimit = createRateLimit(10, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    acceptInviteRateLimit(req, acceptInviteHandler)
+  );
+}
@@ -0,0 +1,54 @@
+
+import { z } from 'zod';
+import { requestPasswordReset } from '@/lib/passwordReset.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+async function forgotPasswordHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = forgotPasswordSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { email } = validation.data;
+
+    // response selalu sama, terdaftar atau tidak, supaya email tidak bisa ditebak
+    try {
+      await requestPasswordReset(email);
+    } catch (error) {
+      console.error('Send password reset email error:', error);
+    }
+
+    return successResponse(
+      null,
+      'If the email is registered, a password reset link has been sent'
+    );
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return internalServerErrorResponse('Failed to process password reset request', error);
+  }
+}
+
+
+const forgotPasswordRateLimit = createRateLimit(5, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    forgotPasswordRateLimit(req, forgotPasswordHandler)
+  );
+}
@@ -0,0 +1,124 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { verifyMfaToken } from '@/lib/jwt.js';
+import { createSession } from '@/lib/session.js';
+import { TWO_FACTOR_SELECT, verifySecondFactor } from '@/lib/twoFactor.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  loginBlockedResponse
+} from '@/lib/loginThrottle.js';
+import {
+  successResponse,
+  badRequestResponse,
+  unauthorizedResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit, getClientIP } from '@/lib/middleware/rateLimit.js';
+
+const loginMfaSchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required'),
+  code: z.string().min(1, 'Code is required')
+});
+
+async function loginMfaHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = loginMfaSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { mfaToken, code } = validation.data;
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch (error) {
+      return unauthorizedResponse(error.message);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        ...TWO_FACTOR_SELECT,
+        name: true,
+        role: true,
+        emailVerifiedAt: true,
+        deactivatedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+
+    if (!user) {
+      return unauthorizedResponse('User not found. Please login again.');
+    }
+
+    // akun yang dinonaktifkan Admin tidak bisa login
+    if (user.deactivatedAt) {
+      return forbiddenResponse('Account has been deactivated');
+    }
+
+    // kode 2FA yang salah ikut dihitung throttle per akun
+    const throttle = await checkLoginAllowed(user.email);
+
+    if (!throttle.allowed) {
+      return loginBlockedResponse(throttle);
+    }
+
+    // TOTP atau recovery code
+    const isValid = await verifySecondFactor(user, code);
+
+    if (!isValid) {
+      await recordFailedLogin(user.email);
+      return unauthorizedResponse('Invalid authentication code');
+    }
+
+    await clearFailedLogins(user.email);
+
+    const tokens = await createSession(user, {
+      userAgent: request.headers.get('user-agent'),
+      ipAddress: getClientIP(request)
+    });
+
+    return successResponse(
+      {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerifiedAt: user.emailVerifiedAt,
+          twoFactorEnabledAt: user.twoFactorEnabledAt,
+          createdAt: user.createdAt,
+          updatedAt: user.updatedAt
+        },
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      },
+      'Login successful'
+    );
+
+  } catch (error) {
+    console.error('Login MFA error:', error);
+    return internalServerErrorResponse('Login failed', error);
+  }
+}
+
+
+const loginMfaRateLimit = createRateLimit(5, 60 * 1000);
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    loginMfaRateLimit(req, loginMfaHandler)
+  );
+}
@@ -1,16 +1,24 @@
 
-import bcrypt from 'bcryptjs';
 import { z } from 'zod';
 import prisma from '@/lib/prisma.js';
-import { generateTokens } from '@/lib/jwt.js';
+import { createSession } from '@/lib/session.js';
+import { verifyPassword } from '@/lib/password.js';
+import { generateMfaToken } from '@/lib/jwt.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  loginBlockedResponse
+} from '@/lib/loginThrottle.js';
 import {
   successResponse,
   badRequestResponse,
   unauthorizedResponse,
+  forbiddenResponse,
   internalServerErrorResponse
 } from '@/lib/response.js';
 import { withLogging } from '@/lib/middleware/logger.js';
-import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+import { createRateLimit, getClientIP } from '@/lib/middleware/rateLimit.js';
 
 /**
  * dingge validasi Login
@@ -21,10 +29,16 @@ const loginSchema = z.object({
 });
 
 /**
- * Verifikasi Password
+ * Catat login gagal, langsung kasih tahu jika akun jadi terkunci
  */
-async function verifyPassword(plainPassword, hashedPassword) {
-  return bcrypt.compare(plainPassword, hashedPassword);
+async function failedLoginResponse(email) {
+  const record = await recordFailedLogin(email);
+
+  if (record.lockedUntil && record.lockedUntil.getTime() > Date.now()) {
+    return loginBlockedResponse(await checkLoginAllowed(email));
+  }
+
+  return unauthorizedResponse('Invalid email or password');
 }
 
 
@@ -41,6 +55,13 @@ async function loginHandler(request) {
 
     const { email, password } = validation.data;
 
+    // throttle per akun (jeda progresif / lockout sementara)
+    const throttle = await checkLoginAllowed(email);
+
+    if (!throttle.allowed) {
+      return loginBlockedResponse(throttle);
+    }
+
     // cari user
     const user = await prisma.user.findUnique({
       where: { email },
@@ -50,27 +71,47 @@ async function loginHandler(request) {
         email: true,
         password: true,
         role: true,
+        emailVerifiedAt: true,
+        deactivatedAt: true,
+        twoFactorEnabledAt: true,
         createdAt: true,
         updatedAt: true
       }
     });
 
     if (!user) {
-      return unauthorizedResponse('Invalid email or password');
+      return failedLoginResponse(email);
     }
 
     // validasi Login password
     const isPasswordValid = await verifyPassword(password, user.password);
 
     if (!isPasswordValid) {
-      return unauthorizedResponse('Invalid email or password');
+      return failedLoginResponse(email);
+    }
+
+    // akun yang dinonaktifkan Admin tidak bisa login
+    if (user.deactivatedAt) {
+      return forbiddenResponse('Account has been deactivated');
     }
 
-    // buat token
-    const tokens = generateTokens({
-      id: user.id,
-      email: user.email,
-      role: user.role
+    // 2FA aktif: token baru diberikan setelah kode diverifikasi di /api/auth/login/mfa
+    if (user.twoFactorEnabledAt) {
+      return successResponse(
+        {
+          mfaRequired: true,
+          mfaToken: generateMfaToken({ id: user.id })
+        },
+        'Two-factor authentication required'
+      );
+    }
+
+    await clearFailedLogins(email);
+
+    // buat session + token
+    const tokens = await createSession(user, {
+      userAgent: request.headers.get('user-agent'),
+      ipAddress: getClientIP(request)
     });
 
     
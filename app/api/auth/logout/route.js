@@ -0,0 +1,31 @@
+
+import { revokeSession } from '@/lib/session.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  successResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+async function logoutHandler(request) {
+  try {
+    // revoke session yang sedang dipakai, refresh token ikut di-revoke
+    await revokeSession(request.sessionId);
+
+    return successResponse(null, 'Logout successful');
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return internalServerErrorResponse('Logout failed', error);
+  }
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, logoutHandler)
+    )
+  );
+}
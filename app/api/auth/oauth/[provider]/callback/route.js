@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import { createSession } from '@/lib/session.js';
+import { generateMfaToken } from '@/lib/jwt.js';
+import {
+  OAUTH_STATE_COOKIE,
+  getProvider,
+  completeAuthorization,
+  clearOAuthStateCookie
+} from '@/lib/oauth.js';
+import {
+  successResponse,
+  badRequestResponse,
+  unauthorizedResponse,
+  forbiddenResponse,
+  notFoundResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit, getClientIP } from '@/lib/middleware/rateLimit.js';
+
+const callbackSchema = z.object({
+  code: z.string().min(1, 'Authorization code is required'),
+  state: z.string().min(1, 'State is required')
+});
+
+async function oauthCallbackHandler(request, context) {
+  try {
+    const { provider: providerId } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const provider = getProvider(providerId);
+
+    if (!provider) {
+      return notFoundResponse('OAuth provider not found');
+    }
+
+    // user menolak / provider mengembalikan error
+    const providerError = searchParams.get('error');
+    if (providerError) {
+      return badRequestResponse('Authorization was not granted by the provider', {
+        error: providerError,
+        description: searchParams.get('error_description')
+      });
+    }
+
+    const validation = callbackSchema.safeParse({
+      code: searchParams.get('code') || '',
+      state: searchParams.get('state') || ''
+    });
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    let user;
+    try {
+      user = await completeAuthorization(provider, {
+        ...validation.data,
+        binding: request.cookies.get(OAUTH_STATE_COOKIE)?.value
+      });
+    } catch (error) {
+      if (error.name === 'OAuthError') {
+        return unauthorizedResponse(error.message);
+      }
+      throw error;
+    }
+
+    if (user.deactivatedAt) {
+      return forbiddenResponse('Account has been deactivated');
+    }
+
+    // 2FA tetap berlaku untuk login lewat provider
+    if (user.twoFactorEnabledAt) {
+      return successResponse(
+        {
+          mfaRequired: true,
+          mfaToken: generateMfaToken({ id: user.id })
+        },
+        'Two-factor authentication required'
+      );
+    }
+
+    const tokens = await createSession(user, {
+      userAgent: request.headers.get('user-agent'),
+      ipAddress: getClientIP(request)
+    });
+
+    return successResponse(
+      {
+        user,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      },
+      'Login successful'
+    );
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    return internalServerErrorResponse('OAuth login failed', error);
+  }
+}
+
+
+const oauthCallbackRateLimit = createRateLimit(10, 60 * 1000);
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    oauthCallbackRateLimit(req, async (r) => clearOAuthStateCookie(await oauthCallbackHandler(r, context)))
+  );
+}
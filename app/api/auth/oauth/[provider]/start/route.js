@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { getProvider, startAuthorization, setOAuthStateCookie } from '@/lib/oauth.js';
+import {
+  notFoundResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+async function oauthStartHandler(request, context) {
+  try {
+    const { provider: providerId } = await context.params;
+
+    const provider = getProvider(providerId);
+
+    if (!provider) {
+      return notFoundResponse('OAuth provider not found');
+    }
+
+    // redirect ke halaman login provider, state diikat ke browser ini lewat cookie
+    const { url, binding } = await startAuthorization(provider);
+
+    return setOAuthStateCookie(NextResponse.redirect(url), binding);
+
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    return internalServerErrorResponse('Failed to start OAuth login', error);
+  }
+}
+
+
+const oauthStartRateLimit = createRateLimit(10, 60 * 1000);
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    oauthStartRateLimit(req, (r) => oauthStartHandler(r, context))
+  );
+}
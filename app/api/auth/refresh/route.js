@@ -1,7 +1,7 @@
 
 import { z } from 'zod';
-import prisma from '@/lib/prisma.js';
-import { verifyRefreshToken, generateTokens } from '@/lib/jwt.js';
+import { verifyRefreshToken } from '@/lib/jwt.js';
+import { rotateRefreshToken } from '@/lib/session.js';
 import {
   successResponse,
   badRequestResponse,
@@ -29,36 +29,24 @@ async function refreshHandler(request) {
     const { refreshToken } = validation.data;
 
     
-    let decoded;
     try {
-      decoded = verifyRefreshToken(refreshToken);
+      verifyRefreshToken(refreshToken);
     } catch (error) {
       return unauthorizedResponse(error.message);
     }
 
-    // fungsi Get user
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        createdAt: true,
-        updatedAt: true
+    // rotasi token: token lama di-revoke, reuse akan me-revoke seluruh family
+    let rotation;
+    try {
+      rotation = await rotateRefreshToken(refreshToken);
+    } catch (error) {
+      if (error.name === 'RefreshTokenError') {
+        return unauthorizedResponse(error.message);
       }
-    });
-
-    if (!user) {
-      return unauthorizedResponse('User not found. Please login again.');
+      throw error;
     }
 
-    // buat token baru
-    const newTokens = generateTokens({
-      id: user.id,
-      email: user.email,
-      role: user.role
-    });
+    const { user, tokens: newTokens } = rotation;
 
     return successResponse(
       {
@@ -1,7 +1,8 @@
 
-import bcrypt from 'bcrypt';
 import { z } from 'zod';
 import prisma from '@/lib/prisma.js';
+import { hashPassword } from '@/lib/password.js';
+import { sendVerificationEmail } from '@/lib/emailVerification.js';
 import {
   createdResponse,
   badRequestResponse,
@@ -14,16 +15,9 @@ import { createRateLimit } from '@/lib/middleware/rateLimit.js';
 const registerSchema = z.object({
   name: z.string().min(2, 'Name must be at least 2 characters'),
   email: z.string().email('Invalid email format'),
-  password: z.string().min(6, 'Password must be at least 6 characters'),
-  role: z.enum(['User', 'Admin']).optional().default('User')
+  password: z.string().min(6, 'Password must be at least 6 characters')
 });
 
-async function hashPassword(password) {
-  const SALT_ROUNDS = 10;
-  return bcrypt.hash(password, SALT_ROUNDS);
-}
-
-
 async function registerHandler(request) {
   try {
     const body = await request.json();
@@ -35,7 +29,7 @@ async function registerHandler(request) {
       return badRequestResponse('Validation failed', errors);
     }
 
-    const { name, email, password, role } = validation.data;
+    const { name, email, password } = validation.data;
 
     // ngecek user sng ws enk
     const existingUser = await prisma.user.findUnique({
@@ -55,19 +49,28 @@ async function registerHandler(request) {
         name,
         email,
         password: hashedPassword,
-        role
+        // register publik selalu User, Admin hanya lewat undangan
+        role: 'User'
       },
       select: {
         id: true,
         name: true,
         email: true,
         role: true,
+        emailVerifiedAt: true,
         createdAt: true,
         updatedAt: true
       }
     });
 
-    return createdResponse(user, 'User registered successfully');
+    // kirim email verifikasi, gagal kirim tidak membatalkan register
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    return createdResponse(user, 'User registered successfully. Please check your email to verify your account.');
 
   } catch (error) {
     console.error('Register error:', error);
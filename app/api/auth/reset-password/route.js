@@ -0,0 +1,54 @@
+
+import { z } from 'zod';
+import { resetPassword } from '@/lib/passwordReset.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+async function resetPasswordHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = resetPasswordSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { token, password } = validation.data;
+
+    try {
+      await resetPassword(token, password);
+    } catch (error) {
+      if (error.name === 'PasswordResetError') {
+        return badRequestResponse(error.message);
+      }
+      throw error;
+    }
+
+    return successResponse(null, 'Password has been reset. Please login with your new password.');
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return internalServerErrorResponse('Failed to reset password', error);
+  }
+}
+
+
+const resetPasswordRateLimit = createRateLimit(10, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    resetPasswordRateLimit(req, resetPasswordHandler)
+  );
+}
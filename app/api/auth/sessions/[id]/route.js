@@ -0,0 +1,46 @@
+
+import prisma from '@/lib/prisma.js';
+import { revokeSession } from '@/lib/session.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  successResponse,
+  notFoundResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function revokeSessionHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id },
+      select: { id: true, userId: true }
+    });
+
+    // session milik user lain dianggap tidak ada
+    if (!session || session.userId !== user.id) {
+      return notFoundResponse('Session not found');
+    }
+
+    await revokeSession(id);
+
+    return successResponse(null, 'Session revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return internalServerErrorResponse('Failed to revoke session', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => revokeSessionHandler(authedReq, context))
+    )
+  );
+}
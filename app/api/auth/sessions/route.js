@@ -0,0 +1,91 @@
+/**
+ * Session Endpoints
+ * 
+ * GET /api/auth/sessions - List session aktif milik user
+ * DELETE /api/auth/sessions - Sign out everywhere (?exceptCurrent=true untuk tetap login di device ini)
+ */
+
+import prisma from '@/lib/prisma.js';
+import { revokeAllSessions } from '@/lib/session.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  successResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function getSessionsHandler(request) {
+  try {
+    const user = request.user;
+
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        createdAt: true,
+        expiresAt: true
+      },
+      orderBy: {
+        lastUsedAt: 'desc'
+      }
+    });
+
+    const sessionsWithCurrent = sessions.map(session => ({
+      ...session,
+      current: session.id === request.sessionId
+    }));
+
+    return successResponse(sessionsWithCurrent, 'Sessions retrieved successfully');
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return internalServerErrorResponse('Failed to retrieve sessions', error);
+  }
+}
+
+
+async function revokeAllSessionsHandler(request) {
+  try {
+    const user = request.user;
+    const { searchParams } = new URL(request.url);
+
+    const exceptCurrent = searchParams.get('exceptCurrent') === 'true';
+
+    const revoked = await revokeAllSessions(user.id, {
+      exceptSessionId: exceptCurrent ? request.sessionId : undefined
+    });
+
+    return successResponse({ revoked }, 'Sessions revoked successfully');
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    return internalServerErrorResponse('Failed to revoke sessions', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getSessionsHandler)
+    )
+  );
+}
+
+
+export async function DELETE(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, revokeAllSessionsHandler)
+    )
+  );
+}
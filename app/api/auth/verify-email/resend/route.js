@@ -0,0 +1,62 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { sendVerificationEmail } from '@/lib/emailVerification.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const resendVerificationSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+async function resendVerificationHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = resendVerificationSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { email } = validation.data;
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true, emailVerifiedAt: true }
+    });
+
+    // response selalu sama supaya email tidak bisa ditebak
+    if (user && !user.emailVerifiedAt) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+    }
+
+    return successResponse(
+      null,
+      'If the email is registered and not yet verified, a verification link has been sent'
+    );
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return internalServerErrorResponse('Failed to resend verification email', error);
+  }
+}
+
+
+const resendVerificationRateLimit = createRateLimit(5, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    resendVerificationRateLimit(req, resendVerificationHandler)
+  );
+}
@@ -0,0 +1,61 @@
+
+import { z } from 'zod';
+import { verifyEmail } from '@/lib/emailVerification.js';
+import {
+  successResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required')
+});
+
+async function verifyEmailHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = verifyEmailSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { token } = validation.data;
+
+    let user;
+    try {
+      user = await verifyEmail(token);
+    } catch (error) {
+      if (error.name === 'EmailVerificationError') {
+        return badRequestResponse(error.message);
+      }
+      throw error;
+    }
+
+    return successResponse(user, 'Email verified successfully');
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+
+    // email baru sudah dipakai akun lain sejak verifikasi dikirim
+    if (error.code === 'P2002') {
+      return conflictResponse('Email already registered');
+    }
+
+    return internalServerErrorResponse('Failed to verify email', error);
+  }
+}
+
+
+const verifyEmailRateLimit = createRateLimit(10, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    verifyEmailRateLimit(req, verifyEmailHandler)
+  );
+}
@@ -0,0 +1,55 @@
+/**
+ * Cron: Purge Task Trash
+ *
+ * GET /api/cron/purge-trash - Hapus permanen task yang sudah melewati masa retensi trash
+ *
+ * Dipanggil oleh Vercel Cron (lihat vercel.json) dengan header
+ * `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { purgeExpiredTasks, TASK_TRASH_RETENTION_DAYS } from '@/lib/taskTrash.js';
+import {
+  successResponse,
+  unauthorizedResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+
+// Environment variables
+const CRON_SECRET = process.env.CRON_SECRET;
+
+function isAuthorizedCron(request) {
+  // tanpa CRON_SECRET endpoint ini selalu ditolak
+  if (!CRON_SECRET) return false;
+
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const actual = Buffer.from(request.headers.get('authorization') || '');
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+
+async function purgeTrashHandler(request) {
+  try {
+    if (!isAuthorizedCron(request)) {
+      return unauthorizedResponse('Invalid cron secret');
+    }
+
+    const purged = await purgeExpiredTasks();
+
+    return successResponse(
+      { purged, retentionDays: TASK_TRASH_RETENTION_DAYS },
+      'Expired trashed tasks purged successfully'
+    );
+
+  } catch (error) {
+    console.error('Purge trash cron error:', error);
+    return internalServerErrorResponse('Failed to purge trashed tasks', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, purgeTrashHandler);
+}
@@ -0,0 +1,165 @@
+/**
+ * Label Endpoints
+ *
+ * GET /api/labels/:id - Detail label
+ * PATCH /api/labels/:id - Ubah nama / warna label
+ * DELETE /api/labels/:id - Hapus label (dilepas dari semua task)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  LABEL_SELECT,
+  labelNameSchema,
+  labelColorSchema,
+  isLabelNameTaken
+} from '@/lib/labels.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateLabelSchema = z.object({
+  name: labelNameSchema.optional(),
+  color: labelColorSchema.optional()
+});
+
+/**
+ * Label milik user lain dianggap tidak ada
+ */
+async function findOwnLabel(user, id) {
+  return prisma.label.findFirst({
+    where: { id, userId: user.id },
+    select: LABEL_SELECT
+  });
+}
+
+
+async function getLabelHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const label = await findOwnLabel(request.user, id);
+
+    if (!label) {
+      return notFoundResponse('Label not found');
+    }
+
+    return successResponse(label, 'Label retrieved successfully');
+
+  } catch (error) {
+    console.error('Get label error:', error);
+    return internalServerErrorResponse('Failed to retrieve label', error);
+  }
+}
+
+
+async function updateLabelHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = updateLabelSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const label = await findOwnLabel(user, id);
+
+    if (!label) {
+      return notFoundResponse('Label not found');
+    }
+
+    const { name } = validation.data;
+
+    if (name && await isLabelNameTaken(user.id, name, id)) {
+      return conflictResponse('A label with this name already exists');
+    }
+
+    const updatedLabel = await prisma.label.update({
+      where: { id },
+      data: validation.data,
+      select: LABEL_SELECT
+    });
+
+    return successResponse(updatedLabel, 'Label updated successfully');
+
+  } catch (error) {
+    console.error('Update label error:', error);
+
+    // request paralel yang lolos isLabelNameTaken() ditahan unique index
+    if (error.code === 'P2002') {
+      return conflictResponse('A label with this name already exists');
+    }
+
+    return internalServerErrorResponse('Failed to update label', error);
+  }
+}
+
+
+async function deleteLabelHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const label = await findOwnLabel(request.user, id);
+
+    if (!label) {
+      return notFoundResponse('Label not found');
+    }
+
+    await prisma.label.delete({
+      where: { id }
+    });
+
+    return successResponse(null, 'Label deleted successfully');
+
+  } catch (error) {
+    console.error('Delete label error:', error);
+    return internalServerErrorResponse('Failed to delete label', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getLabelHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => updateLabelHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => deleteLabelHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -0,0 +1,129 @@
+/**
+ * Label Endpoints
+ *
+ * GET /api/labels - List label milik user (dengan jumlah task)
+ * POST /api/labels - Buat label baru ({ "name": "bug", "color": "#e11d48" })
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  LABEL_SELECT,
+  DEFAULT_LABEL_COLOR,
+  labelNameSchema,
+  labelColorSchema,
+  isLabelNameTaken
+} from '@/lib/labels.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const createLabelSchema = z.object({
+  name: labelNameSchema,
+  color: labelColorSchema.optional().default(DEFAULT_LABEL_COLOR)
+});
+
+
+async function getLabelsHandler(request) {
+  try {
+    const user = request.user;
+
+    const labels = await prisma.label.findMany({
+      where: { userId: user.id },
+      select: {
+        ...LABEL_SELECT,
+        createdAt: true,
+        _count: {
+          select: {
+            tasks: { where: { deletedAt: null } }
+          }
+        }
+      },
+      orderBy: {
+        name: 'asc'
+      }
+    });
+
+    return successResponse(
+      labels.map(({ _count, ...label }) => ({ ...label, taskCount: _count.tasks })),
+      'Labels retrieved successfully'
+    );
+
+  } catch (error) {
+    console.error('Get labels error:', error);
+    return internalServerErrorResponse('Failed to retrieve labels', error);
+  }
+}
+
+
+async function createLabelHandler(request) {
+  try {
+    const user = request.user;
+    const body = await request.json();
+
+    const validation = createLabelSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { name, color } = validation.data;
+
+    if (await isLabelNameTaken(user.id, name)) {
+      return conflictResponse('A label with this name already exists');
+    }
+
+    const label = await prisma.label.create({
+      data: {
+        name,
+        color,
+        userId: user.id
+      },
+      select: LABEL_SELECT
+    });
+
+    return createdResponse(label, 'Label created successfully');
+
+  } catch (error) {
+    console.error('Create label error:', error);
+
+    // request paralel yang lolos isLabelNameTaken() ditahan unique index
+    if (error.code === 'P2002') {
+      return conflictResponse('A label with this name already exists');
+    }
+
+    return internalServerErrorResponse('Failed to create label', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getLabelsHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, createLabelHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
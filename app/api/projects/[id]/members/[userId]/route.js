@@ -0,0 +1,150 @@
+/**
+ * Project Member Endpoints
+ *
+ * PATCH /api/projects/:id/members/:userId - Ubah role anggota ({ "role": "OWNER" }, OWNER)
+ * DELETE /api/projects/:id/members/:userId - Keluarkan anggota (OWNER), atau keluar
+ *   dari project sendiri. Project harus tetap punya minimal satu OWNER.
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  PROJECT_ROLES,
+  PROJECT_MEMBER_SELECT,
+  findProjectForUser,
+  canManageProject,
+  updateProjectMemberRole,
+  removeProjectMember
+} from '@/lib/projects.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateMemberSchema = z.object({
+  role: z.enum(PROJECT_ROLES)
+});
+
+
+async function updateMemberHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, userId } = await context.params;
+    const body = await request.json();
+
+    const validation = updateMemberSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const project = await findProjectForUser(user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    if (!canManageProject(user, project)) {
+      return forbiddenResponse('Only project owners can change member roles');
+    }
+
+    let updated;
+
+    try {
+      updated = await updateProjectMemberRole(id, userId, validation.data.role);
+    } catch (error) {
+      if (error.name === 'ProjectMemberError') {
+        return conflictResponse(error.message);
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      return notFoundResponse('Project member not found');
+    }
+
+    const member = await prisma.projectMember.findUnique({
+      where: {
+        projectId_userId: { projectId: id, userId }
+      },
+      select: PROJECT_MEMBER_SELECT
+    });
+
+    return successResponse(member, 'Project member updated successfully');
+
+  } catch (error) {
+    console.error('Update project member error:', error);
+    return internalServerErrorResponse('Failed to update project member', error);
+  }
+}
+
+
+async function removeMemberHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, userId } = await context.params;
+
+    const project = await findProjectForUser(user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    if (userId !== user.id && !canManageProject(user, project)) {
+      return forbiddenResponse('Only project owners can remove members');
+    }
+
+    let removed;
+
+    try {
+      removed = await removeProjectMember(id, userId);
+    } catch (error) {
+      if (error.name === 'ProjectMemberError') {
+        return conflictResponse(error.message);
+      }
+      throw error;
+    }
+
+    if (!removed) {
+      return notFoundResponse('Project member not found');
+    }
+
+    return successResponse(null, 'Project member removed successfully');
+
+  } catch (error) {
+    console.error('Remove project member error:', error);
+    return internalServerErrorResponse('Failed to remove project member', error);
+  }
+}
+
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => updateMemberHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => removeMemberHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
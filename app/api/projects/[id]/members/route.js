@@ -0,0 +1,131 @@
+/**
+ * Project Members Endpoints
+ *
+ * GET /api/projects/:id/members - Anggota project (semua anggota)
+ * POST /api/projects/:id/members - Tambah anggota ({ "userId": "...", "role": "EDITOR" }, OWNER)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  PROJECT_ROLES,
+  PROJECT_MEMBER_SELECT,
+  findProjectForUser,
+  canManageProject
+} from '@/lib/projects.js';
+import { findActiveUser } from '@/lib/taskSharing.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const addMemberSchema = z.object({
+  userId: z.string().uuid('Invalid user ID'),
+  role: z.enum(PROJECT_ROLES).optional().default('VIEWER')
+});
+
+
+async function getMembersHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const project = await findProjectForUser(request.user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    const members = await prisma.projectMember.findMany({
+      where: { projectId: id },
+      select: PROJECT_MEMBER_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return successResponse(members, 'Project members retrieved successfully');
+
+  } catch (error) {
+    console.error('Get project members error:', error);
+    return internalServerErrorResponse('Failed to retrieve project members', error);
+  }
+}
+
+
+async function addMemberHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = addMemberSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const project = await findProjectForUser(user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    if (!canManageProject(user, project)) {
+      return forbiddenResponse('Only project owners can add members');
+    }
+
+    const { userId, role } = validation.data;
+
+    if (!await findActiveUser(userId)) {
+      return badRequestResponse('Validation failed', { userId: ['User not found'] });
+    }
+
+    const member = await prisma.projectMember.create({
+      data: { projectId: id, userId, role },
+      select: PROJECT_MEMBER_SELECT
+    });
+
+    return createdResponse(member, 'Project member added successfully');
+
+  } catch (error) {
+    console.error('Add project member error:', error);
+
+    // role anggota yang sudah ada diubah lewat PATCH /members/:userId
+    if (error.code === 'P2002') {
+      return conflictResponse('User is already a member of this project');
+    }
+
+    return internalServerErrorResponse('Failed to add project member', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getMembersHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => addMemberHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
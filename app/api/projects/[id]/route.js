@@ -0,0 +1,162 @@
+/**
+ * Project Endpoints
+ *
+ * GET /api/projects/:id - Detail project (anggota)
+ * PATCH /api/projects/:id - Ubah nama / deskripsi (OWNER)
+ * DELETE /api/projects/:id - Hapus project (OWNER); task di dalamnya kembali
+ *   jadi task pribadi pembuatnya (lihat deleteProject)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  PROJECT_SELECT,
+  projectNameSchema,
+  projectDescriptionSchema,
+  findProjectForUser,
+  canManageProject,
+  deleteProject
+} from '@/lib/projects.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateProjectSchema = z.object({
+  name: projectNameSchema.optional(),
+  description: projectDescriptionSchema.optional().nullable()
+});
+
+
+async function getProjectHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const project = await findProjectForUser(request.user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    const [memberCount, taskCount] = await Promise.all([
+      prisma.projectMember.count({
+        where: { projectId: id }
+      }),
+      prisma.task.count({
+        where: { projectId: id, deletedAt: null }
+      })
+    ]);
+
+    return successResponse({ ...project, memberCount, taskCount }, 'Project retrieved successfully');
+
+  } catch (error) {
+    console.error('Get project error:', error);
+    return internalServerErrorResponse('Failed to retrieve project', error);
+  }
+}
+
+
+async function updateProjectHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = updateProjectSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const project = await findProjectForUser(user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    if (!canManageProject(user, project)) {
+      return forbiddenResponse('Only project owners can update this project');
+    }
+
+    const updatedProject = await prisma.project.update({
+      where: { id },
+      data: validation.data,
+      select: PROJECT_SELECT
+    });
+
+    return successResponse({ ...updatedProject, role: project.role }, 'Project updated successfully');
+
+  } catch (error) {
+    console.error('Update project error:', error);
+    return internalServerErrorResponse('Failed to update project', error);
+  }
+}
+
+
+async function deleteProjectHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const project = await findProjectForUser(user, id);
+
+    if (!project) {
+      return notFoundResponse('Project not found');
+    }
+
+    if (!canManageProject(user, project)) {
+      return forbiddenResponse('Only project owners can delete this project');
+    }
+
+    const releasedTasks = await deleteProject(id, user.id);
+
+    return successResponse({ releasedTasks }, 'Project deleted successfully');
+
+  } catch (error) {
+    console.error('Delete project error:', error);
+    return internalServerErrorResponse('Failed to delete project', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getProjectHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => updateProjectHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => deleteProjectHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
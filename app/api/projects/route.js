@@ -0,0 +1,128 @@
+/**
+ * Project Endpoints
+ *
+ * GET /api/projects - Project tempat user jadi anggota (Admin: semua project),
+ *   dengan role user, jumlah anggota, dan jumlah task
+ * POST /api/projects - Buat project ({ "name": "...", "description": "..." }),
+ *   pembuatnya jadi OWNER
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { hasPermission, PERMISSIONS } from '@/lib/permissions.js';
+import { PROJECT_SELECT, projectNameSchema, projectDescriptionSchema } from '@/lib/projects.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const createProjectSchema = z.object({
+  name: projectNameSchema,
+  description: projectDescriptionSchema.optional().nullable()
+});
+
+
+async function getProjectsHandler(request) {
+  try {
+    const user = request.user;
+
+    const projects = await prisma.project.findMany({
+      where: hasPermission(user.role, PERMISSIONS.PROJECT_READ_ANY)
+        ? {}
+        : { members: { some: { userId: user.id } } },
+      select: {
+        ...PROJECT_SELECT,
+        members: {
+          where: { userId: user.id },
+          select: { role: true }
+        },
+        _count: {
+          select: {
+            members: true,
+            tasks: { where: { deletedAt: null } }
+          }
+        }
+      },
+      orderBy: {
+        name: 'asc'
+      }
+    });
+
+    return successResponse(
+      projects.map(({ members, _count, ...project }) => ({
+        ...project,
+        role: members[0]?.role || null,
+        memberCount: _count.members,
+        taskCount: _count.tasks
+      })),
+      'Projects retrieved successfully'
+    );
+
+  } catch (error) {
+    console.error('Get projects error:', error);
+    return internalServerErrorResponse('Failed to retrieve projects', error);
+  }
+}
+
+
+async function createProjectHandler(request) {
+  try {
+    const user = request.user;
+    const body = await request.json();
+
+    const validation = createProjectSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { name, description } = validation.data;
+
+    const project = await prisma.project.create({
+      data: {
+        name,
+        description,
+        members: {
+          create: { userId: user.id, role: 'OWNER' }
+        }
+      },
+      select: PROJECT_SELECT
+    });
+
+    return createdResponse({ ...project, role: 'OWNER' }, 'Project created successfully');
+
+  } catch (error) {
+    console.error('Create project error:', error);
+    return internalServerErrorResponse('Failed to create project', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getProjectsHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, createProjectHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
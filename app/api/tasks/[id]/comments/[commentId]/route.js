@@ -0,0 +1,166 @@
+/**
+ * Task Comment Endpoints
+ *
+ * PATCH /api/tasks/:id/comments/:commentId - Edit komentar (penulis, dalam COMMENT_EDIT_WINDOW_MINUTES)
+ * DELETE /api/tasks/:id/comments/:commentId - Hapus komentar (soft delete)
+ *
+ * Penulis hanya bisa mengubah komentarnya sendiri; user dengan comment:*:any
+ * (Admin) bisa memoderasi komentar siapa pun tanpa batas waktu edit.
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { can, hasPermission, PERMISSIONS } from '@/lib/permissions.js';
+import { canReadTask, taskAccessInclude } from '@/lib/tasks.js';
+import {
+  COMMENT_FIELDS,
+  COMMENT_EDIT_WINDOW_MINUTES,
+  formatComment,
+  resolveMentions,
+  isWithinEditWindow
+} from '@/lib/comments.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateCommentSchema = z.object({
+  body: z.string().trim().min(1, 'Comment cannot be empty').max(5000, 'Comment too long')
+});
+
+/**
+ * Ambil comment beserta task-nya; null jika task / comment tidak ada atau
+ * sudah dihapus
+ */
+async function findComment(user, taskId, commentId) {
+  return prisma.comment.findFirst({
+    where: {
+      id: commentId,
+      taskId,
+      deletedAt: null,
+      task: { deletedAt: null }
+    },
+    include: {
+      task: {
+        select: { id: true, userId: true, assigneeId: true, projectId: true, ...taskAccessInclude(user) }
+      }
+    }
+  });
+}
+
+
+async function updateCommentHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, commentId } = await context.params;
+    const body = await request.json();
+
+    const validation = updateCommentSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const comment = await findComment(user, id, commentId);
+
+    // comment di task yang tidak bisa dibaca diperlakukan seperti tidak ada
+    if (!comment || !canReadTask(user, comment.task)) {
+      return notFoundResponse('Comment not found');
+    }
+
+    if (!can(user, 'comment:update', comment.authorId)) {
+      return forbiddenResponse('You do not have permission to edit this comment');
+    }
+
+    if (!hasPermission(user.role, PERMISSIONS.COMMENT_UPDATE_ANY) && !isWithinEditWindow(comment)) {
+      return forbiddenResponse(
+        `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      );
+    }
+
+    const mentions = await resolveMentions(validation.data.body, comment.task);
+
+    const updatedComment = await prisma.$transaction(async (tx) => {
+      await tx.commentMention.deleteMany({
+        where: { commentId }
+      });
+
+      return tx.comment.update({
+        where: { id: commentId },
+        data: {
+          body: validation.data.body,
+          editedAt: new Date(),
+          mentions: {
+            create: mentions.map(mentioned => ({ userId: mentioned.id }))
+          }
+        },
+        select: COMMENT_FIELDS
+      });
+    });
+
+    return successResponse(formatComment(updatedComment), 'Comment updated successfully');
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    return internalServerErrorResponse('Failed to update comment', error);
+  }
+}
+
+
+async function deleteCommentHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, commentId } = await context.params;
+
+    const comment = await findComment(user, id, commentId);
+
+    if (!comment || !canReadTask(user, comment.task)) {
+      return notFoundResponse('Comment not found');
+    }
+
+    if (!can(user, 'comment:delete', comment.authorId)) {
+      return forbiddenResponse('You do not have permission to delete this comment');
+    }
+
+    await prisma.comment.update({
+      where: { id: commentId },
+      data: { deletedAt: new Date() }
+    });
+
+    return successResponse(null, 'Comment deleted successfully');
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    return internalServerErrorResponse('Failed to delete comment', error);
+  }
+}
+
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => updateCommentHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => deleteCommentHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -0,0 +1,143 @@
+/**
+ * Task Comments Endpoints
+ *
+ * GET /api/tasks/:id/comments - Komentar task, terlama dulu (?page, ?limit, ?cursor, ?sort, ?fields)
+ * POST /api/tasks/:id/comments - Tambah komentar ({ "body": "..." }), mendukung @mention
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { parseListQuery, findPage } from '@/lib/listQuery.js';
+import { canReadTask, taskAccessInclude } from '@/lib/tasks.js';
+import { COMMENT_FIELDS, formatComment, resolveMentions } from '@/lib/comments.js';
+import {
+  paginatedResponse,
+  createdResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const createCommentSchema = z.object({
+  body: z.string().trim().min(1, 'Comment cannot be empty').max(5000, 'Comment too long')
+});
+
+
+async function getCommentsHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const { listQuery, errors } = parseListQuery(searchParams, {
+      fields: COMMENT_FIELDS,
+      sortFields: ['createdAt'],
+      defaultSort: 'createdAt'
+    });
+
+    if (errors) {
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    const { data, pagination } = await findPage(
+      prisma.comment,
+      { taskId: id, deletedAt: null },
+      listQuery
+    );
+
+    return paginatedResponse(data.map(formatComment), pagination, 'Comments retrieved successfully');
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    return internalServerErrorResponse('Failed to retrieve comments', error);
+  }
+}
+
+
+async function createCommentHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = createCommentSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, projectId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    const mentions = await resolveMentions(validation.data.body, task);
+
+    const comment = await prisma.comment.create({
+      data: {
+        taskId: id,
+        authorId: user.id,
+        body: validation.data.body,
+        mentions: {
+          create: mentions.map(mentioned => ({ userId: mentioned.id }))
+        }
+      },
+      select: COMMENT_FIELDS
+    });
+
+    return createdResponse(formatComment(comment), 'Comment created successfully');
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    return internalServerErrorResponse('Failed to create comment', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getCommentsHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => createCommentHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
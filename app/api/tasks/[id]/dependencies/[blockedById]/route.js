@@ -0,0 +1,64 @@
+/**
+ * Task Dependency Endpoint
+ *
+ * DELETE /api/tasks/:id/dependencies/:blockedById - Hapus pemblokir dari task
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { canUpdateTask, taskAccessInclude } from '@/lib/tasks.js';
+import {
+  successResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function removeDependencyHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, blockedById } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canUpdateTask(user, task)) {
+      return forbiddenResponse('You do not have permission to update this task');
+    }
+
+    const result = await prisma.taskDependency.deleteMany({
+      where: { taskId: id, blockedById }
+    });
+
+    if (result.count === 0) {
+      return notFoundResponse('Task dependency not found');
+    }
+
+    return successResponse(null, 'Task dependency removed successfully');
+
+  } catch (error) {
+    console.error('Remove task dependency error:', error);
+    return internalServerErrorResponse('Failed to remove task dependency', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => removeDependencyHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
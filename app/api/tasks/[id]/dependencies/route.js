@@ -0,0 +1,158 @@
+/**
+ * Task Dependencies Endpoints
+ *
+ * GET /api/tasks/:id/dependencies - Task yang memblokir task ini (blockedBy) dan yang diblokirnya (blocking)
+ * POST /api/tasks/:id/dependencies - Tambah pemblokir ({ "blockedById": "..." }), siklus ditolak
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { canReadTask, canUpdateTask, taskAccessInclude, omitTaskAccess } from '@/lib/tasks.js';
+import { TASK_DEPENDENCY_SELECT, addTaskDependency } from '@/lib/taskDependencies.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const addDependencySchema = z.object({
+  blockedById: z.string().uuid('Invalid task ID')
+});
+
+
+async function getDependenciesHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: {
+        id: true,
+        userId: true,
+        assigneeId: true,
+        ...taskAccessInclude(user),
+        blockedBy: {
+          where: { blockedBy: { deletedAt: null } },
+          select: { blockedBy: { select: { ...TASK_DEPENDENCY_SELECT, ...taskAccessInclude(user) } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        blocking: {
+          where: { task: { deletedAt: null } },
+          select: { task: { select: { ...TASK_DEPENDENCY_SELECT, ...taskAccessInclude(user) } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    // task milik orang lain yang tidak bisa dibaca tidak ditampilkan
+    return successResponse({
+      blockedBy: task.blockedBy
+        .map(dependency => dependency.blockedBy)
+        .filter(blocker => canReadTask(user, blocker))
+        .map(omitTaskAccess),
+      blocking: task.blocking
+        .map(dependency => dependency.task)
+        .filter(blocked => canReadTask(user, blocked))
+        .map(omitTaskAccess)
+    }, 'Task dependencies retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task dependencies error:', error);
+    return internalServerErrorResponse('Failed to retrieve task dependencies', error);
+  }
+}
+
+
+async function addDependencyHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = addDependencySchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canUpdateTask(user, task)) {
+      return forbiddenResponse('You do not have permission to update this task');
+    }
+
+    const blocker = await prisma.task.findUnique({
+      where: { id: validation.data.blockedById, deletedAt: null },
+      select: { ...TASK_DEPENDENCY_SELECT, ...taskAccessInclude(user) }
+    });
+
+    if (!blocker || !canReadTask(user, blocker)) {
+      return badRequestResponse('Validation failed', { blockedById: ['Task not found'] });
+    }
+
+    try {
+      await addTaskDependency(id, blocker.id);
+    } catch (error) {
+      if (error.name === 'TaskDependencyError') {
+        return conflictResponse(error.message);
+      }
+      throw error;
+    }
+
+    return createdResponse(
+      { taskId: id, blockedBy: omitTaskAccess(blocker) },
+      'Task dependency added successfully'
+    );
+
+  } catch (error) {
+    console.error('Add task dependency error:', error);
+    return internalServerErrorResponse('Failed to add task dependency', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getDependenciesHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => addDependencyHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * Task History Endpoint
+ *
+ * GET /api/tasks/:id/history - Audit trail task (?page, ?limit, ?cursor, ?sort, ?fields)
+ *   Default terbaru dulu; bisa dibaca siapa pun yang bisa membaca task-nya
+ *   (canReadTask: pemilik/anggota project, assignee, share, task:read:any)
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { parseListQuery, findPage } from '@/lib/listQuery.js';
+import { canReadTask, taskAccessInclude } from '@/lib/tasks.js';
+import { TASK_EVENT_FIELDS } from '@/lib/taskEvents.js';
+import {
+  paginatedResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function getTaskHistoryHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const { listQuery, errors } = parseListQuery(searchParams, {
+      fields: TASK_EVENT_FIELDS,
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt'
+    });
+
+    if (errors) {
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    const { data, pagination } = await findPage(prisma.taskEvent, { taskId: id }, listQuery);
+
+    return paginatedResponse(data, pagination, 'Task history retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task history error:', error);
+    return internalServerErrorResponse('Failed to retrieve task history', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getTaskHistoryHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * Task Restore Endpoint
+ *
+ * POST /api/tasks/:id/restore - Kembalikan task dari trash
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { TASK_INCLUDE, canManageTask, taskAccessInclude, withTaskETag } from '@/lib/tasks.js';
+import { recordTaskEvents } from '@/lib/taskEvents.js';
+import {
+  successResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function restoreTaskHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: { not: null } },
+      include: taskAccessInclude(user)
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found in trash');
+    }
+
+    // yang boleh menghapus juga boleh mengembalikan
+    if (!canManageTask(user, task, 'task:delete')) {
+      return forbiddenResponse('You do not have permission to restore this task');
+    }
+
+    const restored = await prisma.$transaction(async (tx) => {
+      const result = await tx.task.updateMany({
+        where: { id, deletedAt: { not: null } },
+        data: {
+          deletedAt: null,
+          version: { increment: 1 }
+        }
+      });
+
+      if (result.count === 0) return false;
+
+      await recordTaskEvents(tx, id, user.id, [{ type: 'RESTORED' }]);
+      return true;
+    });
+
+    if (!restored) {
+      return notFoundResponse('Task not found in trash');
+    }
+
+    const restoredTask = await prisma.task.findUnique({
+      where: { id },
+      include: TASK_INCLUDE
+    });
+
+    return withTaskETag(successResponse(restoredTask, 'Task restored successfully'), restoredTask);
+
+  } catch (error) {
+    console.error('Restore task error:', error);
+    return internalServerErrorResponse('Failed to restore task', error);
+  }
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => restoreTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -1,12 +1,35 @@
 
 import { z } from 'zod';
+import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma.js';
-import { withAuth, requireAdmin, isOwnerOrAdmin } from '@/lib/middleware/auth.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  TASK_INCLUDE,
+  TASK_FIELDS,
+  canReadTask,
+  canUpdateTask,
+  canManageTask,
+  taskAccessInclude,
+  omitTaskAccess,
+  matchesETag,
+  withTaskETag,
+  taskVersionConflictResponse
+} from '@/lib/tasks.js';
+import { buildTransitionData, transitionErrorResponse } from '@/lib/taskWorkflow.js';
+import { getPurgeDate } from '@/lib/taskTrash.js';
+import { buildUpdateEvents, recordTaskEvents } from '@/lib/taskEvents.js';
+import { lockTaskDependencies, assertNotBlocked, taskBlockedResponse } from '@/lib/taskDependencies.js';
+import { getDescendantLevels, filterSubtreeLevels, buildSubtree } from '@/lib/subtasks.js';
+import { labelIdsSchema, resolveTaskLabelIds } from '@/lib/labels.js';
+import { findActiveUser } from '@/lib/taskSharing.js';
+import { findProjectForUser, canManageProject, isProjectMember } from '@/lib/projects.js';
 import {
   successResponse,
   badRequestResponse,
   notFoundResponse,
   forbiddenResponse,
+  conflictResponse,
+  unsupportedMediaTypeResponse,
   internalServerErrorResponse
 } from '@/lib/response.js';
 import { withLogging } from '@/lib/middleware/logger.js';
@@ -17,39 +40,77 @@ const updateTaskSchema = z.object({
   description: z.string().max(1000, 'Description too long').optional().nullable(),
   status: z.enum(['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']).optional(),
   priority: z.enum(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).optional(),
-  dueDate: z.string().datetime().optional().nullable()
+  dueDate: z.string().datetime().optional().nullable(),
+  // daftar label pengganti; null / [] melepas semua label
+  labelIds: labelIdsSchema.optional().nullable(),
+  // hanya pemilik task (lihat canManageTask) yang bisa mengganti assignee / project
+  assigneeId: z.string().uuid('Invalid assignee ID').optional().nullable(),
+  // null = keluarkan dari project (jadi task pribadi pembuatnya)
+  projectId: z.string().uuid('Invalid project ID').optional().nullable()
 });
 
+const MERGE_PATCH_CONTENT_TYPES = ['application/merge-patch+json', 'application/json'];
+
+// ?include=subtree: subtask (nested) + progress yang di-roll up dari subtask
+const TASK_INCLUDES = ['subtree'];
+
 
 async function getTaskHandler(request, context) {
   try {
     const user = request.user;
     const { id } = await context.params;
+    const { searchParams } = new URL(request.url);
 
-    const task = await prisma.task.findUnique({
-      where: { id },
+    const includes = (searchParams.get('include') || '').split(',').map(item => item.trim()).filter(Boolean);
+    const invalidIncludes = includes.filter(item => !TASK_INCLUDES.includes(item));
+
+    if (invalidIncludes.length > 0) {
+      return badRequestResponse('Validation failed', {
+        include: [`Cannot include "${invalidIncludes.join(',')}". Allowed: ${TASK_INCLUDES.join(', ')}`]
+      });
+    }
+
+    const found = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
       include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
-          }
-        }
+        ...TASK_INCLUDE,
+        project: taskAccessInclude(user).project
       }
     });
 
-    if (!task) {
+    if (!found) {
       return notFoundResponse('Task not found');
     }
 
- 
-    if (!isOwnerOrAdmin(user, task.userId)) {
+    // keanggotaan project hanya untuk cek akses, tidak ikut di response
+    const { project, ...task } = found;
+
+    if (!canReadTask(user, { ...task, project })) {
       return forbiddenResponse('You do not have permission to access this task');
     }
 
-    return successResponse(task, 'Task retrieved successfully');
+    if (includes.includes('subtree')) {
+      // subtree bisa berubah tanpa version task berubah, jadi tanpa 304
+      const levels = await getDescendantLevels(id, { ...TASK_FIELDS, ...taskAccessInclude(user) });
+
+      // akses ke induk (share / assignee) tidak berarti akses ke subtask-nya
+      const visibleLevels = filterSubtreeLevels(task, levels, subtask => canReadTask(user, subtask))
+        .map(level => level.map(omitTaskAccess));
+      const { subtasks, progress } = buildSubtree(task, visibleLevels);
+
+      return withTaskETag(
+        successResponse({ ...task, progress, subtasks }, 'Task retrieved successfully'),
+        task
+      );
+    }
+
+    // client bisa revalidasi dengan If-None-Match
+    const ifNoneMatch = request.headers.get('if-none-match');
+    if (ifNoneMatch && matchesETag(ifNoneMatch, task)) {
+      return withTaskETag(new NextResponse(null, { status: 304 }), task);
+    }
+
+    return withTaskETag(successResponse(task, 'Task retrieved successfully'), task);
 
   } catch (error) {
     console.error('Get task error:', error);
@@ -58,56 +119,201 @@ async function getTaskHandler(request, context) {
 }
 
 
-async function updateTaskHandler(request, context) {
-  try {
-    const user = request.user;
-    const { id } = await context.params;
-    const body = await request.json();
+/**
+ * Simpan perubahan task (dipakai PUT dan PATCH)
+ *
+ * Jika header If-Match dikirim, update hanya berhasil kalau versi task belum
+ * berubah sejak dibaca client (optimistic concurrency), selain itu 412.
+ * Perubahan status harus mengikuti workflow (lib/taskWorkflow.js), selain itu 409.
+ */
+async function saveTaskUpdate(request, context, body, schema) {
+  const user = request.user;
+  const { id } = await context.params;
 
-    const validation = updateTaskSchema.safeParse(body);
+  const validation = schema.safeParse(body);
+
+  if (!validation.success) {
+    const errors = validation.error.flatten().fieldErrors;
+    return badRequestResponse('Validation failed', errors);
+  }
 
-    if (!validation.success) {
-      const errors = validation.error.flatten().fieldErrors;
-      return badRequestResponse('Validation failed', errors);
+  const existingTask = await prisma.task.findUnique({
+    where: { id, deletedAt: null },
+    include: {
+      labels: { select: { id: true } },
+      ...taskAccessInclude(user)
     }
+  });
 
-    
-    const existingTask = await prisma.task.findUnique({
-      where: { id }
-    });
+  if (!existingTask) {
+    return notFoundResponse('Task not found');
+  }
 
-    if (!existingTask) {
-      return notFoundResponse('Task not found');
+  if (!canUpdateTask(user, existingTask)) {
+    return forbiddenResponse('You do not have permission to update this task');
+  }
+
+  const ifMatch = request.headers.get('if-match');
+
+  if (ifMatch && !matchesETag(ifMatch, existingTask)) {
+    return taskVersionConflictResponse(existingTask);
+  }
+
+  const { status, labelIds, ...fields } = validation.data;
+  const updateData = { ...fields };
+
+  if (updateData.dueDate !== undefined) {
+    updateData.dueDate = updateData.dueDate ? new Date(updateData.dueDate) : null;
+  }
+
+  const projectChanged = updateData.projectId !== undefined && updateData.projectId !== existingTask.projectId;
+
+  if (projectChanged) {
+    if (!canManageTask(user, existingTask)) {
+      return forbiddenResponse('You do not have permission to move this task');
+    }
+
+    if (updateData.projectId) {
+      const project = await findProjectForUser(user, updateData.projectId);
+
+      if (!project) {
+        return badRequestResponse('Validation failed', { projectId: ['Project not found'] });
+      }
+
+      if (!canManageProject(user, project, 'EDITOR')) {
+        return forbiddenResponse('You do not have permission to move tasks into this project');
+      }
     }
 
-  
-    if (!isOwnerOrAdmin(user, existingTask.userId)) {
-      return forbiddenResponse('You do not have permission to update this task');
+    // induk dan subtask harus tetap di project yang sama (lihat assertValidParent)
+    if (existingTask.parentId || await prisma.task.count({ where: { parentId: id } }) > 0) {
+      return conflictResponse('Detach the task from its parent and subtasks before moving it to another project');
     }
+  }
 
-    const updateData = { ...validation.data };
+  const assigneeChanged = updateData.assigneeId !== undefined && updateData.assigneeId !== existingTask.assigneeId;
 
-    if (updateData.dueDate !== undefined) {
-      updateData.dueDate = updateData.dueDate ? new Date(updateData.dueDate) : null;
+  if (assigneeChanged) {
+    if (!canManageTask(user, existingTask)) {
+      return forbiddenResponse('Only the task owner can change the assignee');
     }
 
+    if (updateData.assigneeId && !await findActiveUser(updateData.assigneeId)) {
+      return badRequestResponse('Validation failed', { assigneeId: ['User not found'] });
+    }
+  }
 
-    const updatedTask = await prisma.task.update({
-      where: { id },
-      data: updateData,
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
-          }
+  if (assigneeChanged || projectChanged) {
+    const projectId = updateData.projectId !== undefined ? updateData.projectId : existingTask.projectId;
+    const assigneeId = updateData.assigneeId !== undefined ? updateData.assigneeId : existingTask.assigneeId;
+
+    if (projectId && assigneeId && !await isProjectMember(projectId, assigneeId)) {
+      return badRequestResponse('Validation failed', { assigneeId: ['Assignee must be a member of the project'] });
+    }
+  }
+
+  let newLabelIds;
+
+  if (labelIds !== undefined) {
+    newLabelIds = await resolveTaskLabelIds(existingTask.userId, labelIds || []);
+
+    if (!newLabelIds) {
+      return badRequestResponse('Validation failed', {
+        labelIds: ['Labels must exist and belong to the task owner']
+      });
+    }
+  }
+
+  const statusChanged = status !== undefined && status !== existingTask.status;
+
+  if (statusChanged) {
+    try {
+      Object.assign(updateData, buildTransitionData(existingTask, status));
+    } catch (error) {
+      if (error.name === 'TaskTransitionError') {
+        return transitionErrorResponse(error);
+      }
+      throw error;
+    }
+  }
+
+  // version di-increment atomik; dengan If-Match atau perubahan status,
+  // update gagal jika ada yang mendahului sejak task dibaca
+  let updated;
+
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      if (statusChanged) {
+        // pemblokir dicek di transaksi yang sama dengan update-nya
+        await lockTaskDependencies(tx, [id]);
+
+        if (status === 'COMPLETED') {
+          await assertNotBlocked(tx, id, user);
+        }
+      }
+
+      const result = await tx.task.updateMany({
+        where: ifMatch || statusChanged
+          ? { id, deletedAt: null, version: existingTask.version }
+          : { id, deletedAt: null },
+        data: {
+          ...updateData,
+          version: { increment: 1 }
         }
+      });
+
+      if (result.count === 0) return false;
+
+      if (newLabelIds) {
+        await tx.task.update({
+          where: { id },
+          data: {
+            labels: { set: newLabelIds.map(labelId => ({ id: labelId })) }
+          }
+        });
       }
+
+      await recordTaskEvents(tx, id, user.id, buildUpdateEvents(
+        { ...existingTask, labelIds: existingTask.labels.map(label => label.id) },
+        { ...updateData, labelIds: newLabelIds }
+      ));
+      return true;
+    });
+  } catch (error) {
+    if (error.name === 'TaskBlockedError') {
+      return taskBlockedResponse(user, error.blockers);
+    }
+    throw error;
+  }
+
+  if (!updated) {
+    const currentTask = await prisma.task.findUnique({
+      where: { id, deletedAt: null }
     });
 
-    return successResponse(updatedTask, 'Task updated successfully');
+    if (!currentTask) {
+      return notFoundResponse('Task not found');
+    }
+
+    return ifMatch
+      ? taskVersionConflictResponse(currentTask)
+      : conflictResponse('Task was modified concurrently. Please try again.');
+  }
+
+  const updatedTask = await prisma.task.findUnique({
+    where: { id, deletedAt: null },
+    include: TASK_INCLUDE
+  });
+
+  return withTaskETag(successResponse(updatedTask, 'Task updated successfully'), updatedTask);
+}
+
+
+async function updateTaskHandler(request, context) {
+  try {
+    const body = await request.json();
+
+    return await saveTaskUpdate(request, context, body, updateTaskSchema);
 
   } catch (error) {
     console.error('Update task error:', error);
@@ -116,23 +322,89 @@ async function updateTaskHandler(request, context) {
 }
 
 
+/**
+ * PATCH dengan JSON Merge Patch (RFC 7396): field yang dikirim diganti,
+ * `null` menghapus nilai (description, dueDate), field lain tidak berubah
+ */
+async function patchTaskHandler(request, context) {
+  try {
+    const contentType = (request.headers.get('content-type') || '').split(';')[0].trim();
+
+    if (!MERGE_PATCH_CONTENT_TYPES.includes(contentType)) {
+      return unsupportedMediaTypeResponse(
+        `Content-Type must be ${MERGE_PATCH_CONTENT_TYPES.join(' or ')}`
+      );
+    }
+
+    const body = await request.json();
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return badRequestResponse('Merge patch document must be a JSON object');
+    }
+
+    // field yang tidak dikenal ditolak, bukan diabaikan diam-diam
+    const unknownFields = Object.keys(body).filter(field => !(field in updateTaskSchema.shape));
+
+    if (unknownFields.length > 0) {
+      return badRequestResponse(
+        'Validation failed',
+        Object.fromEntries(unknownFields.map(field => [field, ['Unknown field']]))
+      );
+    }
+
+    return await saveTaskUpdate(request, context, body, updateTaskSchema);
+
+  } catch (error) {
+    console.error('Patch task error:', error);
+    return internalServerErrorResponse('Failed to update task', error);
+  }
+}
+
+
 async function deleteTaskHandler(request, context) {
   try {
+    const user = request.user;
     const { id } = await context.params;
 
     const task = await prisma.task.findUnique({
-      where: { id }
+      where: { id, deletedAt: null },
+      include: taskAccessInclude(user)
     });
 
     if (!task) {
       return notFoundResponse('Task not found');
     }
 
-    await prisma.task.delete({
-      where: { id }
+    if (!canManageTask(user, task, 'task:delete')) {
+      return forbiddenResponse('You do not have permission to delete this task');
+    }
+
+    // soft delete: task masuk trash, bisa di-restore sampai dihapus permanen
+    const deletedAt = new Date();
+
+    const deleted = await prisma.$transaction(async (tx) => {
+      const result = await tx.task.updateMany({
+        where: { id, deletedAt: null },
+        data: {
+          deletedAt,
+          version: { increment: 1 }
+        }
+      });
+
+      if (result.count === 0) return false;
+
+      await recordTaskEvents(tx, id, user.id, [{ type: 'DELETED' }]);
+      return true;
     });
 
-    return successResponse(null, 'Task deleted successfully');
+    if (!deleted) {
+      return notFoundResponse('Task not found');
+    }
+
+    return successResponse(
+      { id, deletedAt, purgeAt: getPurgeDate({ deletedAt }) },
+      'Task moved to trash'
+    );
 
   } catch (error) {
     console.error('Delete task error:', error);
@@ -144,7 +416,10 @@ async function deleteTaskHandler(request, context) {
 export async function GET(request, context) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      withAuth(r, (authedReq) => getTaskHandler(authedReq, context))
+      withAuth(r, (authedReq) => getTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
     )
   );
 }
@@ -153,7 +428,21 @@ export async function GET(request, context) {
 export async function PUT(request, context) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      withAuth(r, (authedReq) => updateTaskHandler(authedReq, context))
+      withAuth(r, (authedReq) => updateTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => patchTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
     )
   );
 }
@@ -161,7 +450,10 @@ export async function PUT(request, context) {
 export async function DELETE(request, context) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      requireAdmin(r, (authedReq) => deleteTaskHandler(authedReq, context))
+      withAuth(r, (authedReq) => deleteTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
     )
   );
 }
\ No newline at end of file
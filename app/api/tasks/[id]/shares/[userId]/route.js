@@ -0,0 +1,65 @@
+/**
+ * Task Share Endpoint
+ *
+ * DELETE /api/tasks/:id/shares/:userId - Cabut share (lihat canManageTask), atau keluar
+ *   dari task yang dibagikan ke diri sendiri
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { canManageTask, taskAccessInclude } from '@/lib/tasks.js';
+import {
+  successResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function removeShareHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, userId } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (userId !== user.id && !canManageTask(user, task)) {
+      return forbiddenResponse('You do not have permission to remove shares from this task');
+    }
+
+    const result = await prisma.taskShare.deleteMany({
+      where: { taskId: id, userId }
+    });
+
+    if (result.count === 0) {
+      return notFoundResponse('Task share not found');
+    }
+
+    return successResponse(null, 'Task share removed successfully');
+
+  } catch (error) {
+    console.error('Remove task share error:', error);
+    return internalServerErrorResponse('Failed to remove task share', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => removeShareHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
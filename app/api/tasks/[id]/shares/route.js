@@ -0,0 +1,138 @@
+/**
+ * Task Sharing Endpoints
+ *
+ * GET /api/tasks/:id/shares - User yang menerima share task ini
+ * POST /api/tasks/:id/shares - Bagikan task ({ "userId": "...", "role": "VIEWER" | "EDITOR" }),
+ *   share yang sudah ada diperbarui role-nya. Hanya pemilik task, atau OWNER / EDITOR
+ *   untuk task di project (lihat canManageTask).
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { canReadTask, canManageTask, taskAccessInclude } from '@/lib/tasks.js';
+import { TASK_SHARE_ROLES, TASK_SHARE_SELECT, findActiveUser } from '@/lib/taskSharing.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const shareTaskSchema = z.object({
+  userId: z.string().uuid('Invalid user ID'),
+  role: z.enum(TASK_SHARE_ROLES).optional().default('VIEWER')
+});
+
+
+async function getSharesHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    const shares = await prisma.taskShare.findMany({
+      where: { taskId: id },
+      select: TASK_SHARE_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return successResponse(shares, 'Task shares retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task shares error:', error);
+    return internalServerErrorResponse('Failed to retrieve task shares', error);
+  }
+}
+
+
+async function shareTaskHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = shareTaskSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canManageTask(user, task)) {
+      return forbiddenResponse('You do not have permission to share this task');
+    }
+
+    const { userId, role } = validation.data;
+
+    if (userId === task.userId) {
+      return badRequestResponse('Validation failed', { userId: ['Task owner already has full access'] });
+    }
+
+    if (!await findActiveUser(userId)) {
+      return badRequestResponse('Validation failed', { userId: ['User not found'] });
+    }
+
+    const share = await prisma.taskShare.upsert({
+      where: {
+        taskId_userId: { taskId: id, userId }
+      },
+      create: { taskId: id, userId, role },
+      update: { role },
+      select: TASK_SHARE_SELECT
+    });
+
+    return successResponse(share, 'Task shared successfully');
+
+  } catch (error) {
+    console.error('Share task error:', error);
+    return internalServerErrorResponse('Failed to share task', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getSharesHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => shareTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -0,0 +1,77 @@
+/**
+ * Task Subtask Endpoint
+ *
+ * DELETE /api/tasks/:id/subtasks/:subtaskId - Lepas subtask dari induknya (task tidak dihapus)
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { canReadTask, canUpdateTask, taskAccessInclude } from '@/lib/tasks.js';
+import { buildUpdateEvents, recordTaskEvents } from '@/lib/taskEvents.js';
+import {
+  successResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function removeSubtaskHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id, subtaskId } = await context.params;
+
+    const subtask = await prisma.task.findUnique({
+      where: { id: subtaskId, parentId: id, deletedAt: null },
+      include: taskAccessInclude(user)
+    });
+
+    if (!subtask || !canReadTask(user, subtask)) {
+      return notFoundResponse('Subtask not found');
+    }
+
+    if (!canUpdateTask(user, subtask)) {
+      return forbiddenResponse('You do not have permission to update this task');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.task.updateMany({
+        where: { id: subtaskId, parentId: id, version: subtask.version },
+        data: {
+          parentId: null,
+          version: { increment: 1 }
+        }
+      });
+
+      if (result.count === 0) return false;
+
+      await recordTaskEvents(tx, subtaskId, user.id, buildUpdateEvents(subtask, { parentId: null }));
+      return true;
+    });
+
+    if (!updated) {
+      return conflictResponse('Task was modified concurrently. Please try again.');
+    }
+
+    return successResponse(null, 'Subtask removed successfully');
+
+  } catch (error) {
+    console.error('Remove subtask error:', error);
+    return internalServerErrorResponse('Failed to remove subtask', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => removeSubtaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * Task Subtasks Endpoint
+ *
+ * POST /api/tasks/:id/subtasks - Jadikan task lain subtask dari task ini ({ "taskId": "..." })
+ *
+ * Subtree + progress: GET /api/tasks/:id?include=subtree.
+ * Subtask baru bisa langsung dibuat lewat POST /api/tasks dengan parentId.
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { TASK_INCLUDE, canReadTask, canUpdateTask, taskAccessInclude, omitTaskAccess } from '@/lib/tasks.js';
+import { assertValidParent } from '@/lib/subtasks.js';
+import { buildUpdateEvents, recordTaskEvents } from '@/lib/taskEvents.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const addSubtaskSchema = z.object({
+  taskId: z.string().uuid('Invalid task ID')
+});
+
+
+async function addSubtaskHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = addSubtaskSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const parent = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, userId: true, assigneeId: true, parentId: true, projectId: true, ...taskAccessInclude(user) }
+    });
+
+    if (!parent || !canReadTask(user, parent)) {
+      return notFoundResponse('Task not found');
+    }
+
+    const subtask = await prisma.task.findUnique({
+      where: { id: validation.data.taskId, deletedAt: null },
+      include: taskAccessInclude(user)
+    });
+
+    if (!subtask || !canReadTask(user, subtask)) {
+      return badRequestResponse('Validation failed', { taskId: ['Task not found'] });
+    }
+
+    if (!canUpdateTask(user, subtask)) {
+      return forbiddenResponse('You do not have permission to update this task');
+    }
+
+    if (subtask.parentId === parent.id) {
+      return successResponse(omitTaskAccess(subtask), 'Task is already a subtask of this task');
+    }
+
+    try {
+      await assertValidParent(subtask, parent, subtask);
+    } catch (error) {
+      if (error.name === 'TaskHierarchyError') {
+        return conflictResponse(error.message);
+      }
+      throw error;
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.task.updateMany({
+        where: { id: subtask.id, deletedAt: null, version: subtask.version },
+        data: {
+          parentId: parent.id,
+          version: { increment: 1 }
+        }
+      });
+
+      if (result.count === 0) return false;
+
+      await recordTaskEvents(tx, subtask.id, user.id, buildUpdateEvents(subtask, { parentId: parent.id }));
+      return true;
+    });
+
+    if (!updated) {
+      return conflictResponse('Task was modified concurrently. Please try again.');
+    }
+
+    const updatedSubtask = await prisma.task.findUnique({
+      where: { id: subtask.id },
+      include: TASK_INCLUDE
+    });
+
+    return successResponse(updatedSubtask, 'Subtask added successfully');
+
+  } catch (error) {
+    console.error('Add subtask error:', error);
+    return internalServerErrorResponse('Failed to add subtask', error);
+  }
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => addSubtaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
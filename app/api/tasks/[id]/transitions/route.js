@@ -0,0 +1,225 @@
+/**
+ * Task Status Transition Endpoints
+ *
+ * GET /api/tasks/:id/transitions - Status sekarang + status berikutnya yang diperbolehkan
+ *   (blockedBy: task pemblokir yang masih terbuka, hiddenBlockerCount: pemblokir yang
+ *   tidak bisa dibaca user; COMPLETED ditolak selama masih ada pemblokir)
+ * POST /api/tasks/:id/transitions - Pindah status ({ "to": "IN_PROGRESS" }), mendukung If-Match
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  TASK_STATUSES,
+  TASK_INCLUDE,
+  canReadTask,
+  canUpdateTask,
+  taskAccessInclude,
+  matchesETag,
+  withTaskETag,
+  taskVersionConflictResponse
+} from '@/lib/tasks.js';
+import {
+  getAllowedTransitions,
+  buildTransitionData,
+  transitionErrorResponse
+} from '@/lib/taskWorkflow.js';
+import { buildUpdateEvents, recordTaskEvents } from '@/lib/taskEvents.js';
+import {
+  findOpenBlockers,
+  formatBlockers,
+  lockTaskDependencies,
+  assertNotBlocked,
+  taskBlockedResponse
+} from '@/lib/taskDependencies.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const transitionSchema = z.object({
+  to: z.enum(TASK_STATUSES)
+});
+
+function formatWorkflow(task) {
+  return {
+    status: task.status,
+    allowedTransitions: getAllowedTransitions(task.status),
+    startedAt: task.startedAt,
+    completedAt: task.completedAt,
+    cancelledAt: task.cancelledAt
+  };
+}
+
+
+async function getTransitionsHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      include: taskAccessInclude(user)
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canReadTask(user, task)) {
+      return forbiddenResponse('You do not have permission to access this task');
+    }
+
+    const blockers = await findOpenBlockers(id, user);
+
+    return withTaskETag(
+      successResponse(
+        { ...formatWorkflow(task), ...formatBlockers(user, blockers) },
+        'Task transitions retrieved successfully'
+      ),
+      task
+    );
+
+  } catch (error) {
+    console.error('Get task transitions error:', error);
+    return internalServerErrorResponse('Failed to retrieve task transitions', error);
+  }
+}
+
+
+async function transitionTaskHandler(request, context) {
+  try {
+    const user = request.user;
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = transitionSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      include: taskAccessInclude(user)
+    });
+
+    if (!task) {
+      return notFoundResponse('Task not found');
+    }
+
+    if (!canUpdateTask(user, task)) {
+      return forbiddenResponse('You do not have permission to update this task');
+    }
+
+    const ifMatch = request.headers.get('if-match');
+
+    if (ifMatch && !matchesETag(ifMatch, task)) {
+      return taskVersionConflictResponse(task);
+    }
+
+    let transitionData;
+    try {
+      transitionData = buildTransitionData(task, validation.data.to);
+    } catch (error) {
+      if (error.name === 'TaskTransitionError') {
+        return transitionErrorResponse(error);
+      }
+      throw error;
+    }
+
+    // transisi hanya berlaku dari status yang tadi dibaca
+    let updated;
+
+    try {
+      updated = await prisma.$transaction(async (tx) => {
+        // pemblokir dicek di transaksi yang sama dengan update-nya
+        await lockTaskDependencies(tx, [id]);
+
+        if (validation.data.to === 'COMPLETED') {
+          await assertNotBlocked(tx, id, user);
+        }
+
+        const result = await tx.task.updateMany({
+          where: { id, deletedAt: null, version: task.version },
+          data: {
+            ...transitionData,
+            version: { increment: 1 }
+          }
+        });
+
+        if (result.count === 0) return false;
+
+        await recordTaskEvents(tx, id, user.id, buildUpdateEvents(task, transitionData));
+        return true;
+      });
+    } catch (error) {
+      if (error.name === 'TaskBlockedError') {
+        return taskBlockedResponse(user, error.blockers);
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      const currentTask = await prisma.task.findUnique({
+        where: { id, deletedAt: null }
+      });
+
+      if (!currentTask) {
+        return notFoundResponse('Task not found');
+      }
+
+      return ifMatch
+        ? taskVersionConflictResponse(currentTask)
+        : conflictResponse('Task was modified concurrently. Please try again.');
+    }
+
+    const updatedTask = await prisma.task.findUnique({
+      where: { id, deletedAt: null },
+      include: TASK_INCLUDE
+    });
+
+    return withTaskETag(
+      successResponse(
+        { ...updatedTask, allowedTransitions: getAllowedTransitions(updatedTask.status) },
+        `Task moved to ${updatedTask.status}`
+      ),
+      updatedTask
+    );
+
+  } catch (error) {
+    console.error('Transition task error:', error);
+    return internalServerErrorResponse('Failed to change task status', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getTransitionsHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => transitionTaskHandler(authedReq, context), {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
+    )
+  );
+}
@@ -1,17 +1,43 @@
 /**
  * Tasks CRUD Endpoints
  * 
- * GET /api/tasks - Get all tasks
- * POST /api/tasks - Create new task
+ * GET /api/tasks - Get all tasks (?page, ?limit, ?cursor, ?sort, ?fields)
+ *   Filter: ?status=PENDING,IN_PROGRESS (prefix ! untuk negasi), ?priority=,
+ *   ?dueAfter=, ?dueBefore=, ?createdAfter=, ?createdBefore=, ?overdue=true,
+ *   ?hasDueDate=false, ?userId=, ?assignedToMe=true, ?parentId= (`none` = bukan subtask),
+ *   ?projectId= (`none` = task pribadi), ?labels=bug,frontend (nama label, prefix ! untuk negasi), ?search=
+ * POST /api/tasks - Create new task (parentId untuk langsung membuat subtask,
+ *   projectId untuk membuat task di project; butuh role OWNER / EDITOR)
  */
 
 import { z } from 'zod';
 import prisma from '@/lib/prisma.js';
 import { withAuth } from '@/lib/middleware/auth.js';
+import { hasPermission, PERMISSIONS } from '@/lib/permissions.js';
+import { parseListQuery, findPage } from '@/lib/listQuery.js';
 import {
-  successResponse,
+  TASK_INCLUDE,
+  TASK_FIELDS,
+  TASK_SORT_FIELDS,
+  TASK_DEFAULT_SORT,
+  canReadTask,
+  taskAccessInclude,
+  buildAccessibleTaskWhere,
+  parseTaskFilters,
+  buildTaskWhere
+} from '@/lib/tasks.js';
+import { INITIAL_TASK_STATUSES, buildInitialStatusData } from '@/lib/taskWorkflow.js';
+import { diffTaskFields } from '@/lib/taskEvents.js';
+import { assertValidParent } from '@/lib/subtasks.js';
+import { labelIdsSchema, resolveTaskLabelIds } from '@/lib/labels.js';
+import { findActiveUser } from '@/lib/taskSharing.js';
+import { findProjectForUser, canManageProject, isProjectMember } from '@/lib/projects.js';
+import {
+  paginatedResponse,
   createdResponse,
   badRequestResponse,
+  notFoundResponse,
+  forbiddenResponse,
   internalServerErrorResponse
 } from '@/lib/response.js';
 import { withLogging } from '@/lib/middleware/logger.js';
@@ -20,9 +46,14 @@ import { withRateLimit } from '@/lib/middleware/rateLimit.js';
 const createTaskSchema = z.object({
   title: z.string().min(1, 'Title is required').max(200, 'Title too long'),
   description: z.string().max(1000, 'Description too long').optional(),
-  status: z.enum(['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']).optional().default('PENDING'),
+  // task baru selalu mulai dari awal workflow
+  status: z.enum(INITIAL_TASK_STATUSES).optional().default('PENDING'),
   priority: z.enum(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).optional().default('MEDIUM'),
-  dueDate: z.string().datetime().optional().nullable()
+  dueDate: z.string().datetime().optional().nullable(),
+  parentId: z.string().uuid('Invalid parent ID').optional().nullable(),
+  labelIds: labelIdsSchema.optional(),
+  assigneeId: z.string().uuid('Invalid assignee ID').optional().nullable(),
+  projectId: z.string().uuid('Invalid project ID').optional().nullable()
 });
 
 
@@ -31,49 +62,53 @@ async function getTasksHandler(request) {
     const user = request.user;
     const { searchParams } = new URL(request.url);
 
-    const where = {};
+    const { listQuery, errors } = parseListQuery(searchParams, {
+      fields: TASK_FIELDS,
+      sortFields: TASK_SORT_FIELDS,
+      defaultSort: TASK_DEFAULT_SORT
+    });
 
-    if (user.role !== 'Admin') {
-      where.userId = user.id;
+    if (errors) {
+      return badRequestResponse('Validation failed', errors);
     }
 
-    const status = searchParams.get('status');
-    if (status) {
-      where.status = status;
+    const filterValidation = parseTaskFilters(searchParams);
+
+    if (!filterValidation.success) {
+      const filterErrors = filterValidation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', filterErrors);
     }
 
-    const priority = searchParams.get('priority');
-    if (priority) {
-      where.priority = priority;
+    const filters = filterValidation.data;
+
+    if (filters.projectId && filters.projectId !== 'none' && !await findProjectForUser(user, filters.projectId)) {
+      return notFoundResponse('Project not found');
     }
 
-    const search = searchParams.get('search');
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
+    const where = buildTaskWhere(filters, user);
+
+    // task di trash hanya muncul di /api/tasks/trash
+    where.deletedAt = null;
+
+    if (filters.assignedToMe === true) {
+      where.assigneeId = user.id;
+    } else if (filters.assignedToMe === false) {
+      // task tanpa assignee juga termasuk
+      where.AND = [
+        ...(where.AND || []),
+        { OR: [{ assigneeId: null }, { assigneeId: { not: user.id } }] }
       ];
     }
 
-    const tasks = await prisma.task.findMany({
-      where,
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
-          }
-        }
-      },
-      orderBy: [
-        { priority: 'desc' },
-        { createdAt: 'desc' }
-      ]
-    });
+    // tanpa task:read:any hanya task pribadi milik sendiri, task di project
+    // tempat user jadi anggota, yang di-assign, atau dibagikan
+    if (!hasPermission(user.role, PERMISSIONS.TASK_READ_ANY)) {
+      Object.assign(where, buildAccessibleTaskWhere(user));
+    }
+
+    const { data, pagination } = await findPage(prisma.task, where, listQuery);
 
-    return successResponse(tasks, 'Tasks retrieved successfully');
+    return paginatedResponse(data, pagination, 'Tasks retrieved successfully');
 
   } catch (error) {
     console.error('Get tasks error:', error);
@@ -94,27 +129,83 @@ async function createTaskHandler(request) {
       return badRequestResponse('Validation failed', errors);
     }
 
-    const { title, description, status, priority, dueDate } = validation.data;
+    const { title, description, status, priority, dueDate, parentId, labelIds, assigneeId, projectId } = validation.data;
+
+    if (projectId) {
+      const project = await findProjectForUser(user, projectId);
+
+      if (!project) {
+        return badRequestResponse('Validation failed', { projectId: ['Project not found'] });
+      }
+
+      if (!canManageProject(user, project, 'EDITOR')) {
+        return forbiddenResponse('You do not have permission to create tasks in this project');
+      }
+    }
+
+    if (assigneeId && !await findActiveUser(assigneeId)) {
+      return badRequestResponse('Validation failed', { assigneeId: ['User not found'] });
+    }
+
+    if (assigneeId && projectId && !await isProjectMember(projectId, assigneeId)) {
+      return badRequestResponse('Validation failed', { assigneeId: ['Assignee must be a member of the project'] });
+    }
+
+    const taskLabelIds = await resolveTaskLabelIds(user.id, labelIds || []);
+
+    if (!taskLabelIds) {
+      return badRequestResponse('Validation failed', {
+        labelIds: ['Labels must exist and belong to you']
+      });
+    }
+
+    if (parentId) {
+      const parent = await prisma.task.findUnique({
+        where: { id: parentId, deletedAt: null },
+        select: { id: true, userId: true, assigneeId: true, parentId: true, projectId: true, ...taskAccessInclude(user) }
+      });
+
+      if (!parent || !canReadTask(user, parent)) {
+        return badRequestResponse('Validation failed', { parentId: ['Parent task not found'] });
+      }
+
+      try {
+        await assertValidParent(null, parent, { userId: user.id, projectId: projectId || null });
+      } catch (error) {
+        if (error.name === 'TaskHierarchyError') {
+          return badRequestResponse('Validation failed', { parentId: [error.message] });
+        }
+        throw error;
+      }
+    }
+
+    const taskData = {
+      title,
+      description,
+      ...buildInitialStatusData(status),
+      priority,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      parentId: parentId || null,
+      assigneeId: assigneeId || null,
+      projectId: projectId || null
+    };
 
     const task = await prisma.task.create({
       data: {
-        title,
-        description,
-        status,
-        priority,
-        dueDate: dueDate ? new Date(dueDate) : null,
-        userId: user.id
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
+        ...taskData,
+        userId: user.id,
+        events: {
+          create: {
+            type: 'CREATED',
+            actorId: user.id,
+            changes: diffTaskFields({}, { ...taskData, labelIds: taskLabelIds })
           }
+        },
+        labels: {
+          connect: taskLabelIds.map(labelId => ({ id: labelId }))
         }
-      }
+      },
+      include: TASK_INCLUDE
     });
 
     return createdResponse(task, 'Task created successfully');
@@ -129,7 +220,10 @@ async function createTaskHandler(request) {
 export async function GET(request) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      withAuth(r, getTasksHandler)
+      withAuth(r, getTasksHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
     )
   );
 }
@@ -138,7 +232,10 @@ export async function GET(request) {
 export async function POST(request) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      withAuth(r, createTaskHandler)
+      withAuth(r, createTaskHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:write'
+      })
     )
   );
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Task Search Endpoint
+ *
+ * GET /api/tasks/search?q= - Full-text search, urut berdasarkan relevansi
+ *   q: kata (semua harus ada), "frase persis", prefix* ; ?page, ?limit
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { hasPermission, PERMISSIONS } from '@/lib/permissions.js';
+import { TASK_FIELDS } from '@/lib/tasks.js';
+import { buildTsQuery, searchTasks } from '@/lib/taskSearch.js';
+import {
+  paginatedResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const searchSchema = z.object({
+  q: z.string().trim().min(1, 'Search query is required').max(200, 'Search query too long'),
+  page: z.coerce.number().int().min(1, 'Page must be at least 1').default(1),
+  limit: z.coerce.number().int().min(1, 'Limit must be at least 1').max(50, 'Limit cannot exceed 50').default(20)
+});
+
+
+async function searchTasksHandler(request) {
+  try {
+    const user = request.user;
+    const { searchParams } = new URL(request.url);
+
+    const validation = searchSchema.safeParse({
+      q: searchParams.get('q') || '',
+      page: searchParams.get('page') || undefined,
+      limit: searchParams.get('limit') || undefined
+    });
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { q, page, limit } = validation.data;
+
+    const tsQuery = buildTsQuery(q);
+
+    if (!tsQuery) {
+      return badRequestResponse('Validation failed', {
+        q: ['Search query must contain at least one word']
+      });
+    }
+
+    const { hits, total } = await searchTasks(tsQuery, {
+      userId: hasPermission(user.role, PERMISSIONS.TASK_READ_ANY) ? null : user.id,
+      page,
+      limit
+    });
+
+    const tasks = await prisma.task.findMany({
+      where: { id: { in: hits.map(hit => hit.id) } },
+      select: TASK_FIELDS
+    });
+
+    // urutan mengikuti relevansi dari hasil search
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const results = hits
+      .filter(hit => tasksById.has(hit.id))
+      .map(hit => ({
+        ...tasksById.get(hit.id),
+        search: {
+          rank: hit.rank,
+          highlights: hit.highlights
+        }
+      }));
+
+    return paginatedResponse(results, { page, limit, total }, 'Tasks retrieved successfully');
+
+  } catch (error) {
+    console.error('Search tasks error:', error);
+    return internalServerErrorResponse('Failed to search tasks', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, searchTasksHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
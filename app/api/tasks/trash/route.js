@@ -0,0 +1,87 @@
+/**
+ * Task Trash Endpoint
+ *
+ * GET /api/tasks/trash - Task yang sudah dihapus (?page, ?limit, ?cursor, ?sort, ?fields)
+ *   Task di trash dihapus permanen setelah TASK_TRASH_RETENTION_DAYS (lihat purgeAt)
+ */
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { hasPermission, PERMISSIONS } from '@/lib/permissions.js';
+import { parseListQuery, findPage } from '@/lib/listQuery.js';
+import { TASK_FIELDS, TASK_SORT_FIELDS } from '@/lib/tasks.js';
+import { getPurgeDate } from '@/lib/taskTrash.js';
+import { getProjectRolesAtLeast } from '@/lib/projects.js';
+import {
+  paginatedResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const TRASH_FIELDS = {
+  ...TASK_FIELDS,
+  deletedAt: true
+};
+
+const TRASH_SORT_FIELDS = ['deletedAt', ...TASK_SORT_FIELDS];
+
+
+async function getTrashHandler(request) {
+  try {
+    const user = request.user;
+    const { searchParams } = new URL(request.url);
+
+    const { listQuery, errors } = parseListQuery(searchParams, {
+      fields: TRASH_FIELDS,
+      sortFields: TRASH_SORT_FIELDS,
+      defaultSort: '-deletedAt'
+    });
+
+    if (errors) {
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const where = { deletedAt: { not: null } };
+
+    // tanpa task:read:any hanya trash yang bisa di-restore user: task pribadi
+    // milik sendiri dan task di project tempat user jadi OWNER / EDITOR
+    if (!hasPermission(user.role, PERMISSIONS.TASK_READ_ANY)) {
+      where.OR = [
+        { userId: user.id, projectId: null },
+        {
+          project: {
+            members: {
+              some: { userId: user.id, role: { in: getProjectRolesAtLeast('EDITOR') } }
+            }
+          }
+        }
+      ];
+    }
+
+    const { data, pagination } = await findPage(prisma.task, where, listQuery);
+
+    const tasks = data.map(task => (
+      task.deletedAt ? { ...task, purgeAt: getPurgeDate(task) } : task
+    ));
+
+    return paginatedResponse(tasks, pagination, 'Trashed tasks retrieved successfully');
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    return internalServerErrorResponse('Failed to retrieve trashed tasks', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getTrashHandler, {
+        requireVerifiedEmail: true,
+        apiKeyScope: 'tasks:read'
+      })
+    )
+  );
+}
@@ -0,0 +1,68 @@
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { revokeAllSessions } from '@/lib/session.js';
+import { USER_ADMIN_SELECT, isLastAdmin } from '@/lib/users.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function deactivateUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    if (id === request.user.id) {
+      return badRequestResponse('You cannot deactivate your own account');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, deactivatedAt: true }
+    });
+
+    if (!user) {
+      return notFoundResponse('User not found');
+    }
+
+    if (user.deactivatedAt) {
+      return conflictResponse('User is already deactivated');
+    }
+
+    if (await isLastAdmin(user)) {
+      return conflictResponse('Cannot deactivate the last Admin account');
+    }
+
+    const deactivatedUser = await prisma.user.update({
+      where: { id },
+      data: { deactivatedAt: new Date() },
+      select: USER_ADMIN_SELECT
+    });
+
+    // semua session langsung berakhir
+    const revokedSessions = await revokeAllSessions(id);
+
+    return successResponse(
+      { ...deactivatedUser, revokedSessions },
+      'User deactivated successfully'
+    );
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    return internalServerErrorResponse('Failed to deactivate user', error);
+  }
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => deactivateUserHandler(authedReq, context))
+    )
+  );
+}
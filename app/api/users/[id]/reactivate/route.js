@@ -0,0 +1,52 @@
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { USER_ADMIN_SELECT } from '@/lib/users.js';
+import {
+  successResponse,
+  notFoundResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function reactivateUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, deactivatedAt: true }
+    });
+
+    if (!user) {
+      return notFoundResponse('User not found');
+    }
+
+    if (!user.deactivatedAt) {
+      return conflictResponse('User is not deactivated');
+    }
+
+    const reactivatedUser = await prisma.user.update({
+      where: { id },
+      data: { deactivatedAt: null },
+      select: USER_ADMIN_SELECT
+    });
+
+    return successResponse(reactivatedUser, 'User reactivated successfully');
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    return internalServerErrorResponse('Failed to reactivate user', error);
+  }
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => reactivateUserHandler(authedReq, context))
+    )
+  );
+}
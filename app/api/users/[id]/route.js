@@ -0,0 +1,261 @@
+/**
+ * Admin User Management Endpoints
+ *
+ * GET /api/users/:id - Detail user + statistik task
+ * PATCH /api/users/:id - Ubah nama / email / role
+ * DELETE /api/users/:id - Hapus user (?reassignTasksTo=<userId> untuk memindahkan task beserta labelnya)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { ROLES } from '@/lib/permissions.js';
+import { revokeAllSessions } from '@/lib/session.js';
+import { sendVerificationEmail } from '@/lib/emailVerification.js';
+import { USER_ADMIN_SELECT, isLastAdmin, getUserTaskStats } from '@/lib/users.js';
+import { findSoleOwnedProjects } from '@/lib/projects.js';
+import { transferTaskLabels } from '@/lib/labels.js';
+import {
+  successResponse,
+  badRequestResponse,
+  notFoundResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateUserSchema = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters').optional(),
+  email: z.string().email('Invalid email format').optional(),
+  role: z.enum(ROLES).optional()
+});
+
+const deleteUserSchema = z.object({
+  reassignTasksTo: z.string().uuid('Invalid user ID').optional()
+});
+
+
+async function getUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: USER_ADMIN_SELECT
+    });
+
+    if (!user) {
+      return notFoundResponse('User not found');
+    }
+
+    const taskStats = await getUserTaskStats(user.id);
+
+    return successResponse({ ...user, taskStats }, 'User retrieved successfully');
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    return internalServerErrorResponse('Failed to retrieve user', error);
+  }
+}
+
+
+async function updateUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+    const body = await request.json();
+
+    const validation = updateUserSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: USER_ADMIN_SELECT
+    });
+
+    if (!existingUser) {
+      return notFoundResponse('User not found');
+    }
+
+    const { name, email, role } = validation.data;
+    const updateData = {};
+    const emailChanged = email !== undefined && email !== existingUser.email;
+    const roleChanged = role !== undefined && role !== existingUser.role;
+
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+
+    if (emailChanged) {
+      const emailOwner = await prisma.user.findUnique({
+        where: { email }
+      });
+
+      if (emailOwner) {
+        return conflictResponse('Email already registered');
+      }
+
+      // email diganti Admin tetap harus diverifikasi oleh pemiliknya
+      updateData.email = email;
+      updateData.pendingEmail = null;
+      updateData.emailVerifiedAt = null;
+    }
+
+    if (roleChanged) {
+      if (!existingUser.deactivatedAt && await isLastAdmin(existingUser)) {
+        return conflictResponse('Cannot change the role of the last Admin account');
+      }
+
+      updateData.role = role;
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data: updateData,
+      select: USER_ADMIN_SELECT
+    });
+
+    // email dan role ada di access token, paksa login ulang
+    if (emailChanged || roleChanged) {
+      await revokeAllSessions(id);
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+    }
+
+    return successResponse(updatedUser, 'User updated successfully');
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    return internalServerErrorResponse('Failed to update user', error);
+  }
+}
+
+
+async function deleteUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const validation = deleteUserSchema.safeParse({
+      reassignTasksTo: searchParams.get('reassignTasksTo') || undefined
+    });
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { reassignTasksTo } = validation.data;
+
+    if (id === request.user.id) {
+      return badRequestResponse('Use DELETE /api/users/me to delete your own account');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, deactivatedAt: true }
+    });
+
+    if (!user) {
+      return notFoundResponse('User not found');
+    }
+
+    if (!user.deactivatedAt && await isLastAdmin(user)) {
+      return conflictResponse('Cannot delete the last Admin account');
+    }
+
+    // project tidak boleh kehilangan OWNER terakhirnya
+    const soleOwnedProjects = await findSoleOwnedProjects(id);
+
+    if (soleOwnedProjects.length > 0) {
+      return conflictResponse('User is the only owner of some projects. Transfer ownership first.', {
+        projects: soleOwnedProjects
+      });
+    }
+
+    if (reassignTasksTo) {
+      if (reassignTasksTo === id) {
+        return badRequestResponse('Cannot reassign tasks to the user being deleted');
+      }
+
+      const newOwner = await prisma.user.findUnique({
+        where: { id: reassignTasksTo },
+        select: { id: true, deactivatedAt: true }
+      });
+
+      if (!newOwner) {
+        return notFoundResponse('User to reassign tasks to not found');
+      }
+
+      if (newOwner.deactivatedAt) {
+        return badRequestResponse('Cannot reassign tasks to a deactivated user');
+      }
+    }
+
+    // tanpa reassignTasksTo, task ikut terhapus (onDelete: Cascade);
+    // label user lama ikut terhapus, jadi dipindahkan dulu ke pemilik baru
+    const { reassignedTasks, reassignedLabels } = await prisma.$transaction(async (tx) => {
+      if (!reassignTasksTo) {
+        await tx.user.delete({ where: { id } });
+        return { reassignedTasks: 0, reassignedLabels: 0 };
+      }
+
+      const labelCount = await transferTaskLabels(tx, id, reassignTasksTo);
+
+      const result = await tx.task.updateMany({
+        where: { userId: id },
+        data: { userId: reassignTasksTo }
+      });
+
+      await tx.user.delete({
+        where: { id }
+      });
+
+      return { reassignedTasks: result.count, reassignedLabels: labelCount };
+    });
+
+    return successResponse(
+      { id, reassignedTasks, reassignedLabels, reassignedTo: reassignTasksTo || null },
+      'User deleted successfully'
+    );
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    return internalServerErrorResponse('Failed to delete user', error);
+  }
+}
+
+
+export async function GET(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => getUserHandler(authedReq, context))
+    )
+  );
+}
+
+export async function PATCH(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => updateUserHandler(authedReq, context))
+    )
+  );
+}
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => deleteUserHandler(authedReq, context))
+    )
+  );
+}
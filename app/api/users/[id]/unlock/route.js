@@ -0,0 +1,47 @@
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { clearFailedLogins } from '@/lib/loginThrottle.js';
+import {
+  successResponse,
+  notFoundResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function unlockUserHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true }
+    });
+
+    if (!user) {
+      return notFoundResponse('User not found');
+    }
+
+    const wasLocked = await clearFailedLogins(user.email);
+
+    return successResponse(
+      { id: user.id, email: user.email, wasLocked },
+      'Account unlocked successfully'
+    );
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return internalServerErrorResponse('Failed to unlock account', error);
+  }
+}
+
+
+export async function POST(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => unlockUserHandler(authedReq, context))
+    )
+  );
+}
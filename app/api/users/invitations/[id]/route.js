@@ -0,0 +1,56 @@
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { getInvitationStatus, INVITATION_SELECT } from '@/lib/invitation.js';
+import {
+  successResponse,
+  notFoundResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function revokeInvitationHandler(request, context) {
+  try {
+    const { id } = await context.params;
+
+    const invitation = await prisma.invitation.findUnique({
+      where: { id }
+    });
+
+    if (!invitation) {
+      return notFoundResponse('Invitation not found');
+    }
+
+    const status = getInvitationStatus(invitation);
+    if (status !== 'pending') {
+      return conflictResponse(`Invitation is already ${status}`);
+    }
+
+    const revoked = await prisma.invitation.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      select: INVITATION_SELECT
+    });
+
+    return successResponse(
+      { ...revoked, status: getInvitationStatus(revoked) },
+      'Invitation revoked successfully'
+    );
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    return internalServerErrorResponse('Failed to revoke invitation', error);
+  }
+}
+
+
+export async function DELETE(request, context) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, (authedReq) => revokeInvitationHandler(authedReq, context))
+    )
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * Admin Invitation Endpoints
+ * 
+ * GET /api/users/invitations - List undangan (?status=pending|accepted|revoked|expired)
+ * POST /api/users/invitations - Undang user baru dengan role tertentu
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { ROLES } from '@/lib/permissions.js';
+import {
+  createInvitation,
+  getInvitationStatus,
+  INVITATION_SELECT
+} from '@/lib/invitation.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const createInvitationSchema = z.object({
+  email: z.string().email('Invalid email format'),
+  role: z.enum(ROLES).optional().default('User')
+});
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+
+async function getInvitationsHandler(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const status = searchParams.get('status');
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return badRequestResponse('Validation failed', {
+        status: [`Status must be one of: ${INVITATION_STATUSES.join(', ')}`]
+      });
+    }
+
+    const invitations = await prisma.invitation.findMany({
+      select: INVITATION_SELECT,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const invitationsWithStatus = invitations
+      .map(invitation => ({
+        ...invitation,
+        status: getInvitationStatus(invitation)
+      }))
+      .filter(invitation => !status || invitation.status === status);
+
+    return successResponse(invitationsWithStatus, 'Invitations retrieved successfully');
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    return internalServerErrorResponse('Failed to retrieve invitations', error);
+  }
+}
+
+
+async function createInvitationHandler(request) {
+  try {
+    const admin = request.user;
+    const body = await request.json();
+
+    const validation = createInvitationSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { email, role } = validation.data;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return conflictResponse('Email already registered');
+    }
+
+    const invitation = await createInvitation(admin, { email, role });
+
+    return createdResponse(
+      { ...invitation, status: getInvitationStatus(invitation) },
+      'Invitation sent successfully'
+    );
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    return internalServerErrorResponse('Failed to create invitation', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getInvitationsHandler)
+    )
+  );
+}
+
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, createInvitationHandler)
+    )
+  );
+}
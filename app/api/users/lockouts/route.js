@@ -0,0 +1,38 @@
+
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import {
+  successResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+
+async function getLockoutsHandler() {
+  try {
+    const lockouts = await prisma.loginThrottle.findMany({
+      where: {
+        lockedUntil: { gt: new Date() }
+      },
+      orderBy: {
+        lockedUntil: 'desc'
+      }
+    });
+
+    return successResponse(lockouts, 'Locked accounts retrieved successfully');
+
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    return internalServerErrorResponse('Failed to retrieve locked accounts', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getLockoutsHandler)
+    )
+  );
+}
@@ -0,0 +1,69 @@
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { hashPassword, verifyPassword } from '@/lib/password.js';
+import { revokeAllSessions } from '@/lib/session.js';
+import {
+  successResponse,
+  badRequestResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { createRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+async function changePasswordHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = changePasswordSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { currentPassword, newPassword } = validation.data;
+
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: { id: true, password: true }
+    });
+
+    const isPasswordValid = await verifyPassword(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      return badRequestResponse('Current password is incorrect');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await hashPassword(newPassword) }
+    });
+
+    // session lain di-logout, session yang sedang dipakai tetap aktif
+    await revokeAllSessions(user.id, { exceptSessionId: request.sessionId });
+
+    return successResponse(null, 'Password changed successfully');
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    return internalServerErrorResponse('Failed to change password', error);
+  }
+}
+
+
+const changePasswordRateLimit = createRateLimit(5, 15 * 60 * 1000);
+
+export async function POST(request) {
+  return withLogging(request, (req) =>
+    changePasswordRateLimit(req, (r) =>
+      withAuth(r, changePasswordHandler)
+    )
+  );
+}
@@ -0,0 +1,217 @@
+/**
+ * Self-service Profile Endpoints
+ * 
+ * GET /api/users/me - Profil user yang sedang login
+ * PATCH /api/users/me - Ubah nama / email (email baru harus diverifikasi)
+ * DELETE /api/users/me - Hapus akun sendiri (butuh password)
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { verifyPassword } from '@/lib/password.js';
+import { isLastAdmin } from '@/lib/users.js';
+import { findSoleOwnedProjects } from '@/lib/projects.js';
+import { sendVerificationEmail } from '@/lib/emailVerification.js';
+import {
+  successResponse,
+  badRequestResponse,
+  conflictResponse,
+  internalServerErrorResponse
+} from '@/lib/response.js';
+import { withLogging } from '@/lib/middleware/logger.js';
+import { withRateLimit } from '@/lib/middleware/rateLimit.js';
+
+const updateProfileSchema = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters').optional(),
+  email: z.string().email('Invalid email format').optional()
+});
+
+const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Password is required')
+});
+
+const PROFILE_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  pendingEmail: true,
+  role: true,
+  emailVerifiedAt: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: {
+      tasks: { where: { deletedAt: null } }
+    }
+  }
+};
+
+function formatProfile(user) {
+  const { _count, ...profile } = user;
+  return {
+    ...profile,
+    taskCount: _count.tasks
+  };
+}
+
+
+async function getProfileHandler(request) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: PROFILE_SELECT
+    });
+
+    return successResponse(formatProfile(user), 'Profile retrieved successfully');
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    return internalServerErrorResponse('Failed to retrieve profile', error);
+  }
+}
+
+
+async function updateProfileHandler(request) {
+  try {
+    const user = request.user;
+    const body = await request.json();
+
+    const validation = updateProfileSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const { name, email } = validation.data;
+    const updateData = {};
+    let emailChangeRequested = false;
+
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+
+    if (email !== undefined) {
+      if (email === user.email) {
+        // kembali ke email lama, batalkan perubahan yang belum diverifikasi
+        updateData.pendingEmail = null;
+      } else {
+        const existingUser = await prisma.user.findUnique({
+          where: { email }
+        });
+
+        if (existingUser) {
+          return conflictResponse('Email already registered');
+        }
+
+        // email baru baru dipakai setelah diverifikasi
+        updateData.pendingEmail = email;
+        emailChangeRequested = true;
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: updateData,
+      select: PROFILE_SELECT
+    });
+
+    if (emailChangeRequested) {
+      try {
+        await sendVerificationEmail(updatedUser, email);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+    }
+
+    return successResponse(
+      formatProfile(updatedUser),
+      emailChangeRequested
+        ? 'Profile updated. Please verify your new email address to complete the change.'
+        : 'Profile updated successfully'
+    );
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    return internalServerErrorResponse('Failed to update profile', error);
+  }
+}
+
+
+async function deleteAccountHandler(request) {
+  try {
+    const body = await request.json();
+
+    const validation = deleteAccountSchema.safeParse(body);
+
+    if (!validation.success) {
+      const errors = validation.error.flatten().fieldErrors;
+      return badRequestResponse('Validation failed', errors);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: request.user.id },
+      select: { id: true, role: true, password: true }
+    });
+
+    const isPasswordValid = await verifyPassword(validation.data.password, user.password);
+
+    if (!isPasswordValid) {
+      return badRequestResponse('Invalid password');
+    }
+
+    // Admin terakhir tidak boleh menghapus akunnya sendiri
+    if (await isLastAdmin(user)) {
+      return conflictResponse('Cannot delete the last Admin account');
+    }
+
+    // project tidak boleh kehilangan OWNER terakhirnya
+    const soleOwnedProjects = await findSoleOwnedProjects(user.id);
+
+    if (soleOwnedProjects.length > 0) {
+      return conflictResponse('Transfer ownership of your projects before deleting your account', {
+        projects: soleOwnedProjects
+      });
+    }
+
+    // task, session, token dan API key ikut terhapus (onDelete: Cascade)
+    await prisma.user.delete({
+      where: { id: user.id }
+    });
+
+    return successResponse(null, 'Account deleted successfully');
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    return internalServerErrorResponse('Failed to delete account', error);
+  }
+}
+
+
+export async function GET(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, getProfileHandler)
+    )
+  );
+}
+
+
+export async function PATCH(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, updateProfileHandler)
+    )
+  );
+}
+
+
+export async function DELETE(request) {
+  return withLogging(request, (req) =>
+    withRateLimit(req, (r) =>
+      withAuth(r, deleteAccountHandler)
+    )
+  );
+}
@@ -1,19 +1,54 @@
 
 
 import prisma from '@/lib/prisma.js';
-import { requireAdmin } from '@/lib/middleware/auth.js';
+import { withAuth } from '@/lib/middleware/auth.js';
+import { parseListQuery, findPage } from '@/lib/listQuery.js';
 import {
-  successResponse,
+  paginatedResponse,
+  badRequestResponse,
   internalServerErrorResponse
 } from '@/lib/response.js';
 import { withLogging } from '@/lib/middleware/logger.js';
 import { withRateLimit } from '@/lib/middleware/rateLimit.js';
 
+const USER_FIELDS = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const USER_COMPUTED_FIELDS = {
+  taskCount: {
+    _count: {
+      select: {
+        tasks: { where: { deletedAt: null } }
+      }
+    }
+  }
+};
+
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'role'];
+
 
 async function getUsersHandler(request) {
   try {
     const { searchParams } = new URL(request.url);
 
+    const { listQuery, errors } = parseListQuery(searchParams, {
+      fields: USER_FIELDS,
+      computed: USER_COMPUTED_FIELDS,
+      sortFields: USER_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+
+    if (errors) {
+      return badRequestResponse('Validation failed', errors);
+    }
+
     const where = {};
 
     const role = searchParams.get('role');
@@ -21,6 +56,14 @@ async function getUsersHandler(request) {
       where.role = role;
     }
 
+    // ?status=active|deactivated
+    const status = searchParams.get('status');
+    if (status === 'active') {
+      where.deactivatedAt = null;
+    } else if (status === 'deactivated') {
+      where.deactivatedAt = { not: null };
+    }
+
     const search = searchParams.get('search');
     if (search) {
       where.OR = [
@@ -29,37 +72,13 @@ async function getUsersHandler(request) {
       ];
     }
 
-    const users = await prisma.user.findMany({
-      where,
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        createdAt: true,
-        updatedAt: true,
-        _count: {
-          select: {
-            tasks: true
-          }
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
-    });
+    const { data, pagination } = await findPage(prisma.user, where, listQuery);
 
-    const usersWithStats = users.map(user => ({
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      taskCount: user._count.tasks,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    }));
+    const usersWithStats = data.map(({ _count, ...user }) => (
+      _count ? { ...user, taskCount: _count.tasks } : user
+    ));
 
-    return successResponse(usersWithStats, 'Users retrieved successfully');
+    return paginatedResponse(usersWithStats, pagination, 'Users retrieved successfully');
 
   } catch (error) {
     console.error('Get users error:', error);
@@ -71,7 +90,7 @@ async function getUsersHandler(request) {
 export async function GET(request) {
   return withLogging(request, (req) =>
     withRateLimit(req, (r) =>
-      requireAdmin(r, getUsersHandler)
+      withAuth(r, getUsersHandler)
     )
   );
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * API Keys (Personal Access Tokens)
+ *
+ * Key dibuat oleh user untuk automation (CI, integrasi). Key hanya
+ * ditampilkan sekali saat dibuat; yang disimpan hanya hash-nya.
+ * Format: tak_<random>, diterima lewat `Authorization: Bearer` atau `X-API-Key`.
+ */
+
+import prisma from './prisma.js';
+import { generateOpaqueToken, hashToken } from './token.js';
+
+export const API_KEY_PREFIX = 'tak_';
+
+export const API_KEY_SCOPES = ['tasks:read', 'tasks:write'];
+
+export const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Check apakah string berformat API key
+ *
+ * @param {string|null} value - Token dari header
+ * @returns {boolean}
+ */
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Create API Key
+ *
+ * @param {string} userId - Pemilik key
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey, key } - key plain text hanya dikembalikan sekali
+ */
+export async function createApiKey(userId, data) {
+  const key = `${API_KEY_PREFIX}${generateOpaqueToken()}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name: data.name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      scopes: data.scopes,
+      expiresAt: data.expiresAt || null,
+      userId
+    },
+    select: API_KEY_SELECT
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Authenticate API Key
+ *
+ * @param {string} key - API key plain text
+ * @returns {Promise<Object|null>} Record API key (id, userId, scopes) atau null
+ */
+export async function authenticateApiKey(key) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    select: {
+      id: true,
+      userId: true,
+      scopes: true,
+      expiresAt: true,
+      revokedAt: true
+    }
+  });
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt.getTime() < Date.now()) return null;
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date() }
+  });
+
+  return apiKey;
+}
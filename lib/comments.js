@@ -0,0 +1,131 @@
+/**
+ * Task Comments
+ *
+ * Komentar bisa me-mention user dengan `@budi` atau `@"Budi Santoso"`.
+ * Mention di-resolve ke user yang namanya sama persis (case-insensitive) dan
+ * bisa membaca task tersebut; nama yang ambigu (lebih dari satu user) diabaikan.
+ */
+
+import prisma from './prisma.js';
+import { buildTaskReaderWhere } from './tasks.js';
+
+// Environment variables
+export const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES || '15', 10);
+
+const MAX_MENTIONS = 20;
+
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])@(?:"([^"\n]{1,100})"|([\p{L}\p{N}_.-]+))/gu;
+
+/**
+ * Field yang bisa dipilih lewat ?fields= di GET /api/tasks/:id/comments
+ */
+export const COMMENT_FIELDS = {
+  id: true,
+  taskId: true,
+  body: true,
+  authorId: true,
+  editedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  },
+  mentions: {
+    select: {
+      user: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Format comment untuk response (mentions jadi daftar user)
+ *
+ * @param {Object} comment - Comment dengan relasi mentions
+ * @returns {Object}
+ */
+export function formatComment(comment) {
+  if (!comment.mentions) return comment;
+
+  return {
+    ...comment,
+    mentions: comment.mentions.map(mention => mention.user)
+  };
+}
+
+/**
+ * Parse Mentions
+ *
+ * @param {string} body - Isi komentar
+ * @returns {string[]} Nama yang di-mention (unik, tanpa `@`)
+ */
+export function parseMentions(body) {
+  const names = new Map();
+
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const name = (match[1] ?? match[2]).trim();
+    // `@budi.` di akhir kalimat: titik bukan bagian nama
+    const cleaned = match[1] === undefined ? name.replace(/[.-]+$/, '') : name;
+
+    if (cleaned && !names.has(cleaned.toLowerCase())) {
+      names.set(cleaned.toLowerCase(), cleaned);
+    }
+  }
+
+  return [...names.values()].slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Resolve Mentions ke user
+ *
+ * @param {string} body - Isi komentar
+ * @param {Object} task - { id, userId, assigneeId, projectId }
+ * @returns {Promise<Object[]>} [{ id, name }]
+ */
+export async function resolveMentions(body, task) {
+  const names = parseMentions(body);
+  if (names.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: {
+      deactivatedAt: null,
+      AND: [
+        buildTaskReaderWhere(task),
+        { OR: names.map(name => ({ name: { equals: name, mode: 'insensitive' } })) }
+      ]
+    },
+    select: {
+      id: true,
+      name: true
+    }
+  });
+
+  const usersByName = new Map();
+  for (const user of users) {
+    const key = user.name.toLowerCase();
+    usersByName.set(key, [...(usersByName.get(key) || []), user]);
+  }
+
+  return names
+    .map(name => usersByName.get(name.toLowerCase()) || [])
+    .filter(matches => matches.length === 1)
+    .map(([user]) => user);
+}
+
+/**
+ * Check apakah comment masih bisa diedit oleh penulisnya
+ *
+ * @param {Object} comment - { createdAt }
+ * @returns {boolean}
+ */
+export function isWithinEditWindow(comment) {
+  return Date.now() - comment.createdAt.getTime() <= COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+}
@@ -0,0 +1,127 @@
+/**
+ * Email Verification
+ *
+ * Token verifikasi dikirim lewat email setelah register. Token terikat ke
+ * alamat email tertentu, single-use, dan hanya hash-nya yang disimpan.
+ */
+
+import prisma from './prisma.js';
+import { sendMail } from './mail.js';
+import { generateOpaqueToken, hashToken } from './token.js';
+
+// Environment variables
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Error untuk token verifikasi yang ditolak
+ */
+export class EmailVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailVerificationError';
+  }
+}
+
+/**
+ * Send Verification Email
+ *
+ * Token verifikasi sebelumnya untuk user yang sama tidak berlaku lagi.
+ * `email` diisi saat user mengganti email (alamat baru yang diverifikasi).
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} email - Alamat yang diverifikasi (default: user.email)
+ * @returns {Promise<void>}
+ */
+export async function sendVerificationEmail(user, email = user.email) {
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.deleteMany({
+      where: { userId: user.id, usedAt: null }
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        email,
+        expiresAt
+      }
+    })
+  ]);
+
+  const verifyUrl = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+/**
+ * Verify Email
+ *
+ * @param {string} token - Token verifikasi dari email
+ * @returns {Promise<Object>} User yang sudah terverifikasi
+ * @throws {EmailVerificationError} Jika token tidak valid, expired, atau sudah dipakai
+ */
+export async function verifyEmail(token) {
+  const stored = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: { id: true, email: true, pendingEmail: true }
+      }
+    }
+  });
+
+  if (!stored || stored.usedAt) {
+    throw new EmailVerificationError('Invalid or already used verification token');
+  }
+
+  if (stored.expiresAt.getTime() < Date.now()) {
+    throw new EmailVerificationError('Verification token has expired');
+  }
+
+  const data = { emailVerifiedAt: new Date() };
+
+  // token untuk email baru (ganti email): email baru menggantikan yang lama
+  if (stored.email === stored.user.pendingEmail) {
+    data.email = stored.user.pendingEmail;
+    data.pendingEmail = null;
+  } else if (stored.email !== stored.user.email) {
+    // token untuk alamat lama tidak boleh memverifikasi alamat yang sudah diganti
+    throw new EmailVerificationError('Verification token does not match the current email address');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.emailVerificationToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new EmailVerificationError('Invalid or already used verification token');
+    }
+
+    return tx.user.update({
+      where: { id: stored.userId },
+      data,
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+  });
+}
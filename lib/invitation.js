@@ -0,0 +1,164 @@
+/**
+ * Admin Invitations
+ *
+ * Admin mengundang user baru dengan role yang sudah ditentukan. Token
+ * undangan dikirim lewat email, punya masa berlaku, bisa di-revoke, dan
+ * hanya hash-nya yang disimpan.
+ */
+
+import prisma from './prisma.js';
+import { sendMail } from './mail.js';
+import { hashPassword } from './password.js';
+import { generateOpaqueToken, hashToken } from './token.js';
+
+// Environment variables
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+export const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * Error untuk undangan yang ditolak (invalid, expired, revoked, sudah dipakai)
+ */
+export class InvitationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvitationError';
+  }
+}
+
+/**
+ * Get Invitation Status
+ *
+ * @param {Object} invitation - { acceptedAt, revokedAt, expiresAt }
+ * @returns {string} 'accepted' | 'revoked' | 'expired' | 'pending'
+ */
+export function getInvitationStatus(invitation) {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt.getTime() < Date.now()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Create Invitation
+ *
+ * Undangan pending sebelumnya untuk email yang sama otomatis di-revoke.
+ *
+ * @param {Object} inviter - Admin yang mengundang ({ id, name })
+ * @param {Object} data - { email, role }
+ * @returns {Promise<Object>} Invitation
+ */
+export async function createInvitation(inviter, data) {
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const [, invitation] = await prisma.$transaction([
+    prisma.invitation.updateMany({
+      where: { email: data.email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.invitation.create({
+      data: {
+        email: data.email,
+        role: data.role,
+        tokenHash: hashToken(token),
+        invitedById: inviter.id,
+        expiresAt
+      },
+      select: INVITATION_SELECT
+    })
+  ]);
+
+  const acceptUrl = `${APP_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: data.email,
+    subject: 'You have been invited to Todo API',
+    text:
+      `Hi,\n\n` +
+      `${inviter.name} has invited you to join Todo API as ${data.role}.\n` +
+      `Open the link below to create your account:\n\n` +
+      `${acceptUrl}\n\n` +
+      `This invitation expires in ${INVITATION_TTL_DAYS} days.`
+  });
+
+  return invitation;
+}
+
+/**
+ * Accept Invitation
+ *
+ * Membuat akun dengan role dari undangan. Email dianggap terverifikasi
+ * karena token diterima lewat email tersebut.
+ *
+ * @param {string} token - Token undangan dari email
+ * @param {Object} data - { name, password }
+ * @returns {Promise<Object>} User baru
+ * @throws {InvitationError} Jika undangan tidak valid atau email sudah terdaftar
+ */
+export async function acceptInvitation(token, data) {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+    throw new InvitationError('Invalid, expired or revoked invitation');
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invitation.email },
+    select: { id: true }
+  });
+
+  if (existingUser) {
+    throw new InvitationError('Email already registered');
+  }
+
+  const hashedPassword = await hashPassword(data.password);
+
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new InvitationError('Invalid, expired or revoked invitation');
+    }
+
+    return tx.user.create({
+      data: {
+        name: data.name,
+        email: invitation.email,
+        password: hashedPassword,
+        role: invitation.role,
+        emailVerifiedAt: new Date()
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+  });
+}
@@ -5,12 +5,15 @@
  */
 
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
+import { getSigningKey, findVerificationKey, isLegacyHs256Allowed } from './jwtKeys.js';
 
 // Environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const JWT_ACCESS_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const JWT_MFA_EXPIRES_IN = process.env.JWT_MFA_EXPIRES_IN || '5m';
 
 // Validate environment variables
 if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
@@ -20,43 +23,90 @@ if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
 /**
  * Generate Access Token
  * 
- * @param {Object} payload - { id, email, role }
+ * Claim `sid` berisi session ID (= token family) supaya token dari
+ * session yang sudah di-revoke bisa ditolak. Di-sign dengan key aktif
+ * dari JWT_KEYS (RS256/ES256 + `kid`), atau HS256 jika tidak dikonfigurasi.
+ * 
+ * @param {Object} payload - { id, email, role, familyId }
  * @returns {string} JWT Access Token
  */
 export function generateAccessToken(payload) {
+  const signingKey = getSigningKey();
+
+  const options = {
+    expiresIn: JWT_ACCESS_EXPIRES_IN,
+    issuer: 'todo-api',
+    audience: 'todo-app'
+  };
+
+  if (signingKey) {
+    options.algorithm = signingKey.alg;
+    options.keyid = signingKey.kid;
+  }
+
   return jwt.sign(
     {
       id: payload.id,
       email: payload.email,
       role: payload.role,
+      sid: payload.familyId,
       type: 'access'
     },
-    JWT_SECRET,
-    {
-      expiresIn: JWT_ACCESS_EXPIRES_IN,
-      issuer: 'todo-api',
-      audience: 'todo-app'
-    }
+    signingKey ? signingKey.privateKey : JWT_SECRET,
+    options
   );
 }
 
+/**
+ * Pilih key untuk verifikasi access token berdasarkan header `kid`
+ * Token tanpa `kid` diverifikasi sebagai HS256 dengan JWT_SECRET, hanya
+ * jika JWT_ALLOW_LEGACY_HS256 aktif.
+ */
+function resolveAccessTokenKey(token) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  if (!decoded.header.kid) {
+    if (!isLegacyHs256Allowed()) {
+      throw new jwt.JsonWebTokenError('missing key id');
+    }
+    return { key: JWT_SECRET, algorithms: ['HS256'] };
+  }
+
+  const verificationKey = findVerificationKey(decoded.header.kid);
+
+  if (!verificationKey) {
+    throw new jwt.JsonWebTokenError('unknown key id');
+  }
+
+  return { key: verificationKey.publicKey, algorithms: [verificationKey.alg] };
+}
+
 /**
  * Generate Refresh Token
  * 
- * @param {Object} payload - { id }
+ * Setiap refresh token punya `jti` unik supaya hash-nya bisa disimpan
+ * di database, dan `familyId` untuk melacak rantai rotasi token.
+ * 
+ * @param {Object} payload - { id, familyId }
  * @returns {string} JWT Refresh Token
  */
 export function generateRefreshToken(payload) {
   return jwt.sign(
     {
       id: payload.id,
+      familyId: payload.familyId,
       type: 'refresh'
     },
     JWT_REFRESH_SECRET,
     {
       expiresIn: JWT_REFRESH_EXPIRES_IN,
       issuer: 'todo-api',
-      audience: 'todo-app'
+      audience: 'todo-app',
+      jwtid: randomUUID()
     }
   );
 }
@@ -64,13 +114,16 @@ export function generateRefreshToken(payload) {
 /**
  * Generate Both Tokens
  * 
- * @param {Object} payload - User data
+ * @param {Object} payload - User data ({ id, email, role, familyId })
  * @returns {Object} { accessToken, refreshToken }
  */
 export function generateTokens(payload) {
   return {
     accessToken: generateAccessToken(payload),
-    refreshToken: generateRefreshToken({ id: payload.id })
+    refreshToken: generateRefreshToken({
+      id: payload.id,
+      familyId: payload.familyId
+    })
   };
 }
 
@@ -83,9 +136,12 @@ export function generateTokens(payload) {
  */
 export function verifyAccessToken(token) {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET, {
+    const { key, algorithms } = resolveAccessTokenKey(token);
+
+    const decoded = jwt.verify(token, key, {
       issuer: 'todo-api',
-      audience: 'todo-app'
+      audience: 'todo-app',
+      algorithms
     });
 
     if (decoded.type !== 'access') {
@@ -134,6 +190,60 @@ export function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Generate MFA Pending Token
+ * 
+ * Token pendek yang diberikan login jika 2FA aktif. Tidak bisa dipakai
+ * sebagai access token, hanya untuk /api/auth/login/mfa.
+ * 
+ * @param {Object} payload - { id }
+ * @returns {string} JWT MFA token
+ */
+export function generateMfaToken(payload) {
+  return jwt.sign(
+    {
+      id: payload.id,
+      type: 'mfa_pending'
+    },
+    JWT_SECRET,
+    {
+      expiresIn: JWT_MFA_EXPIRES_IN,
+      issuer: 'todo-api',
+      audience: 'todo-app'
+    }
+  );
+}
+
+/**
+ * Verify MFA Pending Token
+ * 
+ * @param {string} token - MFA token
+ * @returns {Object} Decoded payload
+ * @throws {Error} If token invalid or expired
+ */
+export function verifyMfaToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'todo-api',
+      audience: 'todo-app'
+    });
+
+    if (decoded.type !== 'mfa_pending') {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('MFA token has expired. Please login again.');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid MFA token');
+    } else {
+      throw error;
+    }
+  }
+}
+
 /**
  * Decode Token (tanpa verifikasi)
  * 
@@ -0,0 +1,112 @@
+/**
+ * JWT Key Set
+ *
+ * Konfigurasi key untuk access token. Dipakai bersama oleh lib/jwt.js (Node)
+ * dan middleware.js (Edge), jadi file ini tidak boleh import modul Node.
+ *
+ * JWT_KEYS        - JSON array: [{ "kid", "alg": "RS256"|"ES256", "publicKey", "privateKey"? }]
+ *                   Key tanpa privateKey hanya untuk verifikasi (key lama saat rotasi).
+ * JWT_SIGNING_KID - kid untuk sign token baru (default: key pertama yang punya privateKey)
+ * JWT_ALLOW_LEGACY_HS256 - terima token HS256 tanpa `kid` (default: false jika
+ *                   ada key untuk sign, true jika tidak)
+ *
+ * Tanpa JWT_KEYS, access token di-sign dengan HS256 + JWT_SECRET (mode lama).
+ * Saat pindah ke key asymmetric, set JWT_ALLOW_LEGACY_HS256=true selama masa
+ * migrasi (sepanjang umur access token) supaya token lama tidak langsung
+ * invalid, lalu hapus lagi: selama aktif, siapa pun yang tahu JWT_SECRET
+ * bisa membuat access token.
+ *
+ * Generate key: openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048
+ *               openssl pkey -in private.pem -pubout
+ */
+
+export const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * Parse JWT_KEYS dari environment
+ */
+function parseKeys() {
+  const raw = process.env.JWT_KEYS;
+  if (!raw) return [];
+
+  let keys;
+  try {
+    keys = JSON.parse(raw);
+  } catch {
+    throw new Error('JWT_KEYS must be a valid JSON array');
+  }
+
+  if (!Array.isArray(keys)) {
+    throw new Error('JWT_KEYS must be a valid JSON array');
+  }
+
+  const seen = new Set();
+
+  return keys.map((key) => {
+    if (!key.kid || !key.publicKey) {
+      throw new Error('Every JWT_KEYS entry needs a kid and a publicKey');
+    }
+    if (!SUPPORTED_ALGORITHMS.includes(key.alg)) {
+      throw new Error(`Unsupported JWT algorithm for key ${key.kid}: ${key.alg}`);
+    }
+    if (seen.has(key.kid)) {
+      throw new Error(`Duplicate JWT key id: ${key.kid}`);
+    }
+    seen.add(key.kid);
+
+    return {
+      kid: String(key.kid),
+      alg: key.alg,
+      publicKey: key.publicKey,
+      privateKey: key.privateKey || null
+    };
+  });
+}
+
+export const JWT_KEYS = parseKeys();
+
+const signingKid = process.env.JWT_SIGNING_KID;
+const signingKey = signingKid
+  ? JWT_KEYS.find(key => key.kid === signingKid)
+  : JWT_KEYS.find(key => key.privateKey);
+
+if (signingKid && (!signingKey || !signingKey.privateKey)) {
+  throw new Error(`JWT_SIGNING_KID ${signingKid} does not match a key with a privateKey`);
+}
+
+const allowLegacyHs256 = process.env.JWT_ALLOW_LEGACY_HS256
+  ? process.env.JWT_ALLOW_LEGACY_HS256 === 'true'
+  : !signingKey;
+
+// tanpa key untuk sign, token baru sendiri adalah HS256
+if (!allowLegacyHs256 && !signingKey) {
+  throw new Error('JWT_ALLOW_LEGACY_HS256=false requires a JWT_KEYS entry with a privateKey');
+}
+
+/**
+ * Get Signing Key
+ *
+ * @returns {Object|null} { kid, alg, privateKey } atau null untuk HS256
+ */
+export function getSigningKey() {
+  return signingKey || null;
+}
+
+/**
+ * Check apakah token HS256 tanpa `kid` (JWT_SECRET) masih diterima
+ *
+ * @returns {boolean}
+ */
+export function isLegacyHs256Allowed() {
+  return allowLegacyHs256;
+}
+
+/**
+ * Find Verification Key
+ *
+ * @param {string} kid - Key ID dari header token
+ * @returns {Object|null} { kid, alg, publicKey } atau null
+ */
+export function findVerificationKey(kid) {
+  return JWT_KEYS.find(key => key.kid === kid) || null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Labels
+ *
+ * Label milik masing-masing user (nama unik per user, case-insensitive).
+ * Task hanya bisa diberi label milik pemilik task.
+ */
+
+import { z } from 'zod';
+import prisma from './prisma.js';
+
+export const MAX_LABELS_PER_TASK = 20;
+
+export const DEFAULT_LABEL_COLOR = '#6b7280';
+
+export const LABEL_SELECT = {
+  id: true,
+  name: true,
+  color: true
+};
+
+export const labelNameSchema = z.string().trim().min(1, 'Name is required').max(50, 'Name too long');
+
+export const labelColorSchema = z.string()
+  .regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #1e90ff')
+  .transform(color => color.toLowerCase());
+
+export const labelIdsSchema = z.array(z.string().uuid('Invalid label ID'))
+  .max(MAX_LABELS_PER_TASK, `A task can have at most ${MAX_LABELS_PER_TASK} labels`);
+
+/**
+ * Check nama label sudah dipakai user (case-insensitive)
+ *
+ * @param {string} userId - Pemilik label
+ * @param {string} name - Nama label
+ * @param {string} excludeId - Label yang sedang diubah (opsional)
+ * @returns {Promise<boolean>}
+ */
+export async function isLabelNameTaken(userId, name, excludeId = null) {
+  const existing = await prisma.label.findFirst({
+    where: {
+      userId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { id: true }
+  });
+
+  return Boolean(existing);
+}
+
+/**
+ * Validasi label untuk task
+ *
+ * @param {string} ownerId - Pemilik task
+ * @param {string[]} labelIds - Label yang akan dipasang
+ * @returns {Promise<string[]|null>} ID label unik, null jika ada label yang bukan milik ownerId
+ */
+export async function resolveTaskLabelIds(ownerId, labelIds) {
+  const uniqueIds = [...new Set(labelIds)];
+  if (uniqueIds.length === 0) return uniqueIds;
+
+  const count = await prisma.label.count({
+    where: {
+      id: { in: uniqueIds },
+      userId: ownerId
+    }
+  });
+
+  return count === uniqueIds.length ? uniqueIds : null;
+}
+
+/**
+ * Pindahkan label task ke pemilik baru (panggil sebelum task dipindah)
+ *
+ * Label fromUserId yang terpasang di task fromUserId dipasang ulang sebagai
+ * label toUserId: label dengan nama sama (case-insensitive) dipakai ulang,
+ * sisanya dibuat baru dengan warna yang sama.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} fromUserId - Pemilik lama
+ * @param {string} toUserId - Pemilik baru
+ * @returns {Promise<number>} Jumlah label yang dipindahkan
+ */
+export async function transferTaskLabels(tx, fromUserId, toUserId) {
+  const labels = await tx.label.findMany({
+    where: {
+      userId: fromUserId,
+      tasks: { some: { userId: fromUserId } }
+    },
+    select: {
+      name: true,
+      color: true,
+      tasks: {
+        where: { userId: fromUserId },
+        select: { id: true }
+      }
+    }
+  });
+
+  for (const label of labels) {
+    const existing = await tx.label.findFirst({
+      where: {
+        userId: toUserId,
+        name: { equals: label.name, mode: 'insensitive' }
+      },
+      select: { id: true }
+    });
+
+    const tasks = { connect: label.tasks.map(task => ({ id: task.id })) };
+
+    if (existing) {
+      await tx.label.update({
+        where: { id: existing.id },
+        data: { tasks }
+      });
+    } else {
+      await tx.label.create({
+        data: { name: label.name, color: label.color, userId: toUserId, tasks }
+      });
+    }
+  }
+
+  return labels.length;
+}
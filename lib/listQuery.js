@@ -0,0 +1,182 @@
+/**
+ * List Query (pagination, sorting, sparse fieldsets)
+ *
+ * Query parameter bersama untuk endpoint list:
+ *   ?page=2&limit=20         - offset pagination (default)
+ *   ?cursor=<nextCursor>     - cursor pagination (`?cursor=` kosong untuk halaman pertama)
+ *   ?sort=-dueDate,priority  - urutan, prefix `-` untuk descending
+ *   ?fields=title,status     - hanya field tertentu (`id` selalu disertakan)
+ */
+
+import { z } from 'zod';
+import prisma from './prisma.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const paginationSchema = z.object({
+  page: z.coerce.number().int().min(1, 'Page must be at least 1').default(1),
+  limit: z.coerce.number().int().min(1, 'Limit must be at least 1').max(MAX_LIMIT, `Limit cannot exceed ${MAX_LIMIT}`).default(DEFAULT_LIMIT)
+});
+
+function encodeCursor(id) {
+  return Buffer.from(id, 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  return Buffer.from(cursor, 'base64url').toString('utf8');
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse ?sort= berdasarkan whitelist field
+ */
+function parseSort(value, sortFields, errors) {
+  const orderBy = [];
+
+  for (const item of splitList(value)) {
+    const direction = item.startsWith('-') ? 'desc' : 'asc';
+    const field = item.replace(/^[-+]/, '');
+
+    if (!sortFields.includes(field)) {
+      errors.sort = [`Cannot sort by "${field}". Allowed: ${sortFields.join(', ')}`];
+      return null;
+    }
+
+    orderBy.push({ [field]: direction });
+  }
+
+  return orderBy;
+}
+
+/**
+ * Parse ?fields= berdasarkan daftar field yang tersedia
+ */
+function parseFields(value, fields, computed, errors) {
+  const select = { id: true };
+
+  for (const field of splitList(value)) {
+    if (field in fields) {
+      select[field] = fields[field];
+    } else if (field in computed) {
+      Object.assign(select, computed[field]);
+    } else {
+      const allowed = [...Object.keys(fields), ...Object.keys(computed)];
+      errors.fields = [`Unknown field "${field}". Allowed: ${allowed.join(', ')}`];
+      return null;
+    }
+  }
+
+  return select;
+}
+
+/**
+ * Parse List Query
+ *
+ * @param {URLSearchParams} searchParams - Query string request
+ * @param {Object} config - { fields, computed, sortFields, defaultSort }
+ *   fields: map nama field -> nilai Prisma select (default: semua field)
+ *   computed: map nama field -> potongan select, contoh taskCount -> { _count: ... }
+ *   sortFields: whitelist field untuk ?sort=
+ *   defaultSort: contoh '-priority,-createdAt'
+ * @returns {Object} { errors } jika query tidak valid, atau { listQuery }
+ */
+export function parseListQuery(searchParams, config) {
+  const errors = {};
+
+  const validation = paginationSchema.safeParse({
+    page: searchParams.get('page') || undefined,
+    limit: searchParams.get('limit') || undefined
+  });
+
+  if (!validation.success) {
+    return { errors: validation.error.flatten().fieldErrors };
+  }
+
+  const orderBy = parseSort(searchParams.get('sort') || config.defaultSort, config.sortFields, errors);
+  const computed = config.computed || {};
+  const fieldsParam = searchParams.get('fields');
+  const select = fieldsParam
+    ? parseFields(fieldsParam, config.fields, computed, errors)
+    : Object.assign({ ...config.fields }, ...Object.values(computed));
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  // id sebagai tie-breaker supaya urutan stabil (wajib untuk cursor)
+  orderBy.push({ id: 'asc' });
+
+  const cursor = searchParams.get('cursor');
+
+  return {
+    listQuery: {
+      mode: cursor === null ? 'offset' : 'cursor',
+      cursorId: cursor ? decodeCursor(cursor) : null,
+      page: validation.data.page,
+      limit: validation.data.limit,
+      orderBy,
+      select
+    }
+  };
+}
+
+/**
+ * Find Page
+ *
+ * @param {Object} delegate - Prisma model delegate, contoh prisma.task
+ * @param {Object} where - Filter Prisma
+ * @param {Object} listQuery - Hasil parseListQuery()
+ * @returns {Promise<Object>} { data, pagination } untuk paginatedResponse()
+ */
+export async function findPage(delegate, where, listQuery) {
+  const { select, orderBy, limit } = listQuery;
+
+  if (listQuery.mode === 'cursor') {
+    // ambil satu baris lebih untuk tahu apakah masih ada halaman berikutnya
+    const rows = await delegate.findMany({
+      where,
+      select,
+      orderBy,
+      take: limit + 1,
+      ...(listQuery.cursorId && {
+        cursor: { id: listQuery.cursorId },
+        skip: 1
+      })
+    });
+
+    const data = rows.slice(0, limit);
+    const hasNext = rows.length > limit;
+
+    return {
+      data,
+      pagination: {
+        limit,
+        nextCursor: hasNext ? encodeCursor(data[data.length - 1].id) : null
+      }
+    };
+  }
+
+  const [total, data] = await prisma.$transaction([
+    delegate.count({ where }),
+    delegate.findMany({
+      where,
+      select,
+      orderBy,
+      skip: (listQuery.page - 1) * limit,
+      take: limit
+    })
+  ]);
+
+  return {
+    data,
+    pagination: {
+      page: listQuery.page,
+      limit,
+      total
+    }
+  };
+}
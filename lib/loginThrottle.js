@@ -0,0 +1,164 @@
+/**
+ * Login Throttle (per akun)
+ *
+ * Melacak percobaan login gagal per email di database (tetap ada setelah
+ * restart, tidak seperti rate limit in-memory per IP). Setelah beberapa
+ * kegagalan, login diberi jeda yang makin lama, lalu akun dikunci sementara.
+ */
+
+import prisma from './prisma.js';
+import { lockedResponse, tooManyRequestsResponse } from './response.js';
+
+// Configuration dari environment
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '10', 10);
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS || '3', 10);
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10);
+const LOGIN_ATTEMPT_WINDOW_MS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS || '900000', 10);
+const LOGIN_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS || '900000', 10);
+
+/**
+ * Normalisasi email sebagai key throttle
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Hitung jeda (ms) setelah sejumlah kegagalan
+ */
+function getDelayMs(failedCount) {
+  if (failedCount < LOGIN_DELAY_AFTER_ATTEMPTS) return 0;
+
+  const seconds = 2 ** (failedCount - LOGIN_DELAY_AFTER_ATTEMPTS);
+  return Math.min(seconds, LOGIN_MAX_DELAY_SECONDS) * 1000;
+}
+
+/**
+ * Check Login Allowed
+ *
+ * @param {string} email - Email yang dipakai login
+ * @returns {Promise<Object>} { allowed, reason, retryAfter, lockedUntil }
+ */
+export async function checkLoginAllowed(email) {
+  const record = await prisma.loginThrottle.findUnique({
+    where: { email: normalizeEmail(email) }
+  });
+
+  if (!record) {
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      lockedUntil: record.lockedUntil,
+      retryAfter: Math.ceil((record.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const lastFailedAt = record.lastFailedAt.getTime();
+
+  if (now - lastFailedAt > LOGIN_ATTEMPT_WINDOW_MS) {
+    return { allowed: true };
+  }
+
+  const nextAttemptAt = lastFailedAt + getDelayMs(record.failedCount);
+
+  if (nextAttemptAt > now) {
+    return {
+      allowed: false,
+      reason: 'throttled',
+      retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Response untuk login yang ditolak throttle
+ *
+ * Akun terkunci -> 423 ACCOUNT_LOCKED, jeda progresif -> 429 LOGIN_THROTTLED
+ *
+ * @param {Object} status - Hasil checkLoginAllowed()
+ * @returns {NextResponse}
+ */
+export function loginBlockedResponse(status) {
+  if (status.reason === 'locked') {
+    return lockedResponse(
+      'Account temporarily locked due to too many failed login attempts',
+      {
+        errorCode: 'ACCOUNT_LOCKED',
+        lockedUntil: status.lockedUntil.toISOString(),
+        retryAfter: status.retryAfter
+      }
+    );
+  }
+
+  return tooManyRequestsResponse(
+    'Too many failed login attempts. Please wait before trying again.',
+    {
+      errorCode: 'LOGIN_THROTTLED',
+      retryAfter: status.retryAfter
+    }
+  );
+}
+
+/**
+ * Record Failed Login
+ *
+ * @param {string} email - Email yang dipakai login
+ * @returns {Promise<Object>} Record throttle terbaru
+ */
+export async function recordFailedLogin(email) {
+  const key = normalizeEmail(email);
+  const now = new Date();
+
+  const existing = await prisma.loginThrottle.findUnique({
+    where: { email: key }
+  });
+
+  const withinWindow = existing &&
+    now.getTime() - existing.lastFailedAt.getTime() <= LOGIN_ATTEMPT_WINDOW_MS;
+
+  // increment atomik supaya request paralel tetap terhitung semua
+  const record = await prisma.loginThrottle.upsert({
+    where: { email: key },
+    create: {
+      email: key,
+      failedCount: 1,
+      lastFailedAt: now
+    },
+    update: withinWindow
+      ? { failedCount: { increment: 1 }, lastFailedAt: now }
+      : { failedCount: 1, lastFailedAt: now, lockedUntil: null }
+  });
+
+  if (record.failedCount >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    console.warn(`[Login Throttle] Account locked: ${key} after ${record.failedCount} failed attempts`);
+
+    return prisma.loginThrottle.update({
+      where: { email: key },
+      data: { lockedUntil: new Date(now.getTime() + LOGIN_LOCKOUT_MS) }
+    });
+  }
+
+  return record;
+}
+
+/**
+ * Clear Failed Logins (login sukses atau unlock oleh Admin)
+ *
+ * @param {string} email - Email akun
+ * @returns {Promise<boolean>} true jika ada record yang dihapus
+ */
+export async function clearFailedLogins(email) {
+  const result = await prisma.loginThrottle.deleteMany({
+    where: { email: normalizeEmail(email) }
+  });
+
+  return result.count > 0;
+}
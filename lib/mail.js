@@ -0,0 +1,98 @@
+/**
+ * Mail Transport
+ *
+ * Abstraksi pengiriman email. Transport dipilih lewat MAIL_TRANSPORT:
+ * - console (default untuk development): email dicetak ke log
+ * - file: email ditulis sebagai file JSON di MAIL_OUTBOX_DIR
+ *
+ * Di production MAIL_TRANSPORT wajib diset: tanpa itu sendMail() gagal,
+ * supaya link reset password / verifikasi tidak tercetak ke log server.
+ *
+ * Transport lain (SMTP, API provider email) didaftarkan lewat
+ * registerTransport() dengan object yang punya method `send(message)`.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Environment variables
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+  || (process.env.NODE_ENV === 'production' ? null : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Todo API <no-reply@todo-api.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || '.outbox';
+
+const transports = new Map();
+
+/**
+ * Register Transport
+ *
+ * @param {string} name - Nama transport (nilai MAIL_TRANSPORT)
+ * @param {Object} transport - { send: async (message) => void }
+ */
+export function registerTransport(name, transport) {
+  transports.set(name, transport);
+}
+
+/**
+ * Console Transport
+ */
+registerTransport('console', {
+  async send(message) {
+    console.log(
+      `[Mail] To: ${message.to}\n` +
+      `[Mail] Subject: ${message.subject}\n` +
+      `${message.text}`
+    );
+  }
+});
+
+/**
+ * File Outbox Transport
+ */
+registerTransport('file', {
+  async send(message) {
+    await mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+
+    const fileName = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+    await writeFile(
+      path.join(MAIL_OUTBOX_DIR, fileName),
+      JSON.stringify(message, null, 2)
+    );
+
+    console.log(`[Mail] Written to outbox: ${fileName}`);
+  }
+});
+
+/**
+ * Send Mail
+ *
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<string>} Message ID
+ * @throws {Error} Jika transport tidak dikonfigurasi, tidak dikenal, atau gagal mengirim
+ */
+export async function sendMail(mail) {
+  if (!MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT must be defined in production');
+  }
+
+  const transport = transports.get(MAIL_TRANSPORT);
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  const message = {
+    id: randomUUID(),
+    from: MAIL_FROM,
+    to: mail.to,
+    subject: mail.subject,
+    text: mail.text,
+    html: mail.html || null,
+    createdAt: new Date().toISOString()
+  };
+
+  await transport.send(message);
+
+  return message.id;
+}
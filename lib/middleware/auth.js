@@ -2,41 +2,113 @@
 import { verifyAccessToken, extractTokenFromHeader } from '../jwt.js';
 import { unauthorizedResponse, forbiddenResponse } from '../response.js';
 import prisma from '../prisma.js';
+import { isSessionActive } from '../session.js';
+import { isApiKey, authenticateApiKey } from '../apiKey.js';
+import { getRoutePermissions, hasAnyPermission, can } from '../permissions.js';
+
+// Policy verifikasi email: set REQUIRE_EMAIL_VERIFICATION=false untuk mematikan
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+/**
+ * Ambil session dari claim `sid` dan pastikan masih aktif
+ */
+async function findActiveSession(decoded) {
+  if (!decoded.sid) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    select: {
+      id: true,
+      userId: true,
+      revokedAt: true,
+      expiresAt: true
+    }
+  });
+
+  if (!isSessionActive(session) || session.userId !== decoded.id) {
+    return null;
+  }
+
+  return session;
+}
 
 /**
  * Authentication Middleware
  * 
+ * Menerima access token (JWT) atau API key (`Authorization: Bearer tak_...`
+ * atau `X-API-Key`). API key hanya boleh dipakai di route yang menyebutkan
+ * `apiKeyScope`, dan key harus punya scope tersebut.
+ * 
+ * Permission diambil dari ROUTE_POLICIES (lib/permissions.js) sesuai path dan
+ * method request, sama dengan yang dicek di middleware.js. `permissions`
+ * bisa diisi untuk override.
+ * 
  * @param {Request} request - Next.js request
  * @param {Function} handler - Route handler
- * @param {Object} options - { roles: ['Admin', 'User'] }
+ * @param {Object} options - { permissions: ['task:read:any'], roles: ['Admin', 'User'], requireVerifiedEmail: true, apiKeyScope: 'tasks:read' }
  * @returns {Response}
  */
 export async function withAuth(request, handler, options = {}) {
   try {
-    // 1. Extract token
+    // 1. Extract token / API key
     const authHeader = request.headers.get('authorization');
     const token = extractTokenFromHeader(authHeader);
+    const apiKeyHeader = request.headers.get('x-api-key');
 
-    if (!token) {
-      return unauthorizedResponse('No token provided. Please login.');
-    }
+    let userId;
+    let session = null;
+    let apiKey = null;
+
+    if (apiKeyHeader || isApiKey(token)) {
+      // 2a. Verifikasi API key
+      if (!options.apiKeyScope) {
+        return forbiddenResponse('API keys cannot access this endpoint');
+      }
+
+      apiKey = await authenticateApiKey(apiKeyHeader || token);
+
+      if (!apiKey) {
+        return unauthorizedResponse('Invalid, expired or revoked API key');
+      }
+
+      if (!apiKey.scopes.includes(options.apiKeyScope)) {
+        return forbiddenResponse(`API key is missing required scope: ${options.apiKeyScope}`);
+      }
+
+      userId = apiKey.userId;
+    } else {
+      if (!token) {
+        return unauthorizedResponse('No token provided. Please login.');
+      }
+
+      // 2b. Verifikasi token
+      let decoded;
+      try {
+        decoded = verifyAccessToken(token);
+      } catch (error) {
+        return unauthorizedResponse(error.message);
+      }
 
-    // 2. Verifikasi token
-    let decoded;
-    try {
-      decoded = verifyAccessToken(token);
-    } catch (error) {
-      return unauthorizedResponse(error.message);
+      // 3. ngecek session, token dari session yang sudah di-revoke ditolak
+      session = await findActiveSession(decoded);
+
+      if (!session) {
+        return unauthorizedResponse('Session has been revoked. Please login again.');
+      }
+
+      userId = decoded.id;
     }
 
-    // 3. ngambil user dari database
+    // 4. ngambil user dari database
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
+      where: { id: userId },
       select: {
         id: true,
         name: true,
         email: true,
         role: true,
+        emailVerifiedAt: true,
+        deactivatedAt: true,
         createdAt: true,
         updatedAt: true
       }
@@ -46,7 +118,20 @@ export async function withAuth(request, handler, options = {}) {
       return unauthorizedResponse('User not found. Please login again.');
     }
 
-    // 4. ngecek role 
+    if (user.deactivatedAt) {
+      return forbiddenResponse('Account has been deactivated');
+    }
+
+    // 5. ngecek permission dan role
+    const requiredPermissions = options.permissions ||
+      getRoutePermissions(new URL(request.url).pathname, request.method);
+
+    if (requiredPermissions && !hasAnyPermission(user.role, requiredPermissions)) {
+      return forbiddenResponse(
+        `Access denied. Required permission: ${requiredPermissions.join(' or ')}`
+      );
+    }
+
     if (options.roles && options.roles.length > 0) {
       if (!options.roles.includes(user.role)) {
         return forbiddenResponse(
@@ -55,7 +140,14 @@ export async function withAuth(request, handler, options = {}) {
       }
     }
 
+    // 6. ngecek verifikasi email (hanya untuk route yang memintanya)
+    if (options.requireVerifiedEmail && REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+      return forbiddenResponse('Email address not verified. Please verify your email first.');
+    }
+
     request.user = user;
+    request.sessionId = session ? session.id : null;
+    request.apiKey = apiKey;
 
     return handler(request);
 
@@ -66,21 +158,11 @@ export async function withAuth(request, handler, options = {}) {
 }
 
 
-export async function requireAdmin(request, handler) {
-  return withAuth(request, handler, { roles: ['Admin'] });
-}
-
-
 export async function requireUser(request, handler) {
   return withAuth(request, handler, { roles: ['User', 'Admin'] });
 }
 
 
-export function isOwnerOrAdmin(user, resourceUserId) {
-  return user.role === 'Admin' || user.id === resourceUserId;
-}
-
-
 export async function getUserFromRequest(request) {
   try {
     const authHeader = request.headers.get('authorization');
@@ -90,6 +172,9 @@ export async function getUserFromRequest(request) {
 
     const decoded = verifyAccessToken(token);
 
+    const session = await findActiveSession(decoded);
+    if (!session) return null;
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.id },
       select: {
@@ -97,11 +182,15 @@ export async function getUserFromRequest(request) {
         name: true,
         email: true,
         role: true,
+        emailVerifiedAt: true,
+        deactivatedAt: true,
         createdAt: true,
         updatedAt: true
       }
     });
 
+    if (!user || user.deactivatedAt) return null;
+
     return user;
   } catch {
     return null;
@@ -121,19 +210,23 @@ export async function withOptionalAuth(request, handler) {
 }
 
 
-export async function checkOwnership(request, handler, getResourceUserId) {
+/**
+ * Ownership check berdasarkan permission `<action>:own` / `<action>:any`
+ *
+ * @param {Request} request - Request yang sudah lewat withAuth
+ * @param {Function} handler - Route handler
+ * @param {Function} getResourceUserId - Ambil ID pemilik resource
+ * @param {string} action - Contoh 'task:update'
+ */
+export async function checkOwnership(request, handler, getResourceUserId, action) {
   try {
-    if (request.user.role === 'Admin') {
-      return handler(request);
-    }
-
     const resourceUserId = await getResourceUserId();
 
     if (!resourceUserId) {
       return unauthorizedResponse('Resource not found');
     }
 
-    if (request.user.id !== resourceUserId) {
+    if (!can(request.user, action, resourceUserId)) {
       return forbiddenResponse('You do not have permission to access this resource');
     }
 
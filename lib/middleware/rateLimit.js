@@ -16,7 +16,7 @@ const requestCounts = new Map();
 /**
  * Get Client IP
  */
-function getClientIP(request) {
+export function getClientIP(request) {
   const forwarded = request.headers.get('x-forwarded-for');
   const realIP = request.headers.get('x-real-ip');
   const cloudflareIP = request.headers.get('cf-connecting-ip');
@@ -0,0 +1,422 @@
+/**
+ * OAuth2 / OpenID Connect Login
+ *
+ * Flow authorization code + PKCE. Provider dikonfigurasi lewat OIDC
+ * discovery (`<issuer>/.well-known/openid-configuration`), jadi provider
+ * apapun yang patuh OIDC (termasuk mock server lokal) bisa dipakai.
+ *
+ * OAUTH_PROVIDERS - JSON array: [{ "id", "issuer", "clientId", "clientSecret"?, "scopes"? }]
+ *                   contoh id: "google" -> /api/auth/oauth/google/start
+ *
+ * Identitas eksternal dihubungkan ke user berdasarkan email yang sudah
+ * diverifikasi oleh provider. User baru dibuat jika email belum terdaftar.
+ *
+ * State terikat ke browser yang memulai flow lewat cookie HttpOnly
+ * (OAUTH_STATE_COOKIE), jadi URL callback yang bocor (log, Referer) tidak
+ * bisa ditukar orang lain dan login CSRF ditolak.
+ */
+
+import { createHash } from 'crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import prisma from './prisma.js';
+import { hashPassword } from './password.js';
+import { generateOpaqueToken, hashToken } from './token.js';
+
+// Environment variables
+const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES || '10', 10);
+const OAUTH_HTTP_TIMEOUT_MS = parseInt(process.env.OAUTH_HTTP_TIMEOUT_MS || '10000', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+export const OAUTH_STATE_COOKIE = 'oauth_state';
+
+const OAUTH_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  // Lax: cookie tetap terkirim saat provider me-redirect balik ke callback
+  sameSite: 'lax',
+  secure: APP_URL.startsWith('https://'),
+  path: '/api/auth/oauth'
+};
+
+const USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  emailVerifiedAt: true,
+  deactivatedAt: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Error untuk flow OAuth yang ditolak
+ */
+export class OAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OAuthError';
+  }
+}
+
+/**
+ * Parse OAUTH_PROVIDERS dari environment
+ */
+function parseProviders() {
+  const raw = process.env.OAUTH_PROVIDERS;
+  if (!raw) return [];
+
+  let providers;
+  try {
+    providers = JSON.parse(raw);
+  } catch {
+    throw new Error('OAUTH_PROVIDERS must be a valid JSON array');
+  }
+
+  if (!Array.isArray(providers)) {
+    throw new Error('OAUTH_PROVIDERS must be a valid JSON array');
+  }
+
+  return providers.map((provider) => {
+    if (!provider.id || !/^[a-z0-9-]+$/.test(provider.id)) {
+      throw new Error(`Invalid OAuth provider id: ${provider.id}`);
+    }
+    if (!provider.issuer || !provider.clientId) {
+      throw new Error(`OAuth provider ${provider.id} needs an issuer and a clientId`);
+    }
+
+    return {
+      id: provider.id,
+      issuer: provider.issuer,
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret || null,
+      scopes: provider.scopes || DEFAULT_SCOPES
+    };
+  });
+}
+
+const OAUTH_PROVIDERS = parseProviders();
+
+/**
+ * Get Provider
+ *
+ * @param {string} id - ID provider dari URL
+ * @returns {Object|null} Konfigurasi provider
+ */
+export function getProvider(id) {
+  return OAUTH_PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+// Cache metadata discovery + JWKS per provider
+const discoveryCache = new Map();
+
+/**
+ * Ambil metadata provider dari OIDC discovery
+ */
+async function discover(provider) {
+  if (discoveryCache.has(provider.id)) {
+    return discoveryCache.get(provider.id);
+  }
+
+  const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const response = await fetch(url, { signal: AbortSignal.timeout(OAUTH_HTTP_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed for ${provider.id}: HTTP ${response.status}`);
+  }
+
+  const metadata = await response.json();
+
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`OIDC discovery issuer mismatch for ${provider.id}: ${metadata.issuer}`);
+  }
+
+  const discovered = {
+    metadata,
+    jwks: createRemoteJWKSet(new URL(metadata.jwks_uri))
+  };
+
+  discoveryCache.set(provider.id, discovered);
+  return discovered;
+}
+
+function getRedirectUri(provider) {
+  return `${APP_URL}/api/auth/oauth/${provider.id}/callback`;
+}
+
+/**
+ * PKCE S256: base64url(sha256(verifier))
+ */
+function createCodeChallenge(codeVerifier) {
+  return createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Hapus state yang sudah kedaluwarsa atau sudah dipakai
+ *
+ * @returns {Promise<number>} Jumlah state yang dihapus
+ */
+export async function purgeOAuthStates() {
+  const result = await prisma.oAuthState.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { usedAt: { not: null } }
+      ]
+    }
+  });
+
+  return result.count;
+}
+
+/**
+ * Set cookie pengikat state ke browser (response /start)
+ *
+ * @param {NextResponse} response - Response redirect ke provider
+ * @param {string} binding - Hasil startAuthorization()
+ * @returns {NextResponse}
+ */
+export function setOAuthStateCookie(response, binding) {
+  response.cookies.set(OAUTH_STATE_COOKIE, binding, {
+    ...OAUTH_STATE_COOKIE_OPTIONS,
+    maxAge: OAUTH_STATE_TTL_MINUTES * 60
+  });
+
+  return response;
+}
+
+/**
+ * Hapus cookie pengikat state (response /callback)
+ *
+ * @param {NextResponse} response - Response callback
+ * @returns {NextResponse}
+ */
+export function clearOAuthStateCookie(response) {
+  response.cookies.set(OAUTH_STATE_COOKIE, '', {
+    ...OAUTH_STATE_COOKIE_OPTIONS,
+    maxAge: 0
+  });
+
+  return response;
+}
+
+/**
+ * Start Authorization
+ *
+ * @param {Object} provider - Hasil getProvider()
+ * @returns {Promise<Object>} { url: URL authorization provider untuk redirect,
+ *   binding: nilai cookie untuk setOAuthStateCookie() }
+ */
+export async function startAuthorization(provider) {
+  const { metadata } = await discover(provider);
+
+  const state = generateOpaqueToken();
+  const binding = generateOpaqueToken();
+  const codeVerifier = generateOpaqueToken();
+  const nonce = generateOpaqueToken(16);
+
+  // state lama dibersihkan di sini, tabelnya tidak perlu cron sendiri
+  await purgeOAuthStates();
+
+  await prisma.oAuthState.create({
+    data: {
+      stateHash: hashToken(state),
+      bindingHash: hashToken(binding),
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', getRedirectUri(provider));
+  url.searchParams.set('scope', provider.scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', createCodeChallenge(codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), binding };
+}
+
+/**
+ * Klaim state secara atomik (single-use), hanya dari browser yang memulai flow
+ */
+async function consumeState(provider, state, binding) {
+  const stored = await prisma.oAuthState.findUnique({
+    where: { stateHash: hashToken(state) }
+  });
+
+  if (!stored || stored.usedAt || stored.provider !== provider.id) {
+    throw new OAuthError('Invalid or already used OAuth state');
+  }
+
+  if (!binding || hashToken(binding) !== stored.bindingHash) {
+    throw new OAuthError('OAuth login must be completed in the browser that started it');
+  }
+
+  if (stored.expiresAt.getTime() < Date.now()) {
+    throw new OAuthError('OAuth state has expired. Please start again.');
+  }
+
+  const claimed = await prisma.oAuthState.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    throw new OAuthError('Invalid or already used OAuth state');
+  }
+
+  return stored;
+}
+
+/**
+ * Tukar authorization code dengan token di token endpoint
+ */
+async function exchangeCode(provider, metadata, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const response = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body,
+    signal: AbortSignal.timeout(OAUTH_HTTP_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    console.warn(`[OAuth] Token exchange failed for ${provider.id}: HTTP ${response.status}`);
+    throw new OAuthError('Failed to exchange authorization code');
+  }
+
+  const tokens = await response.json();
+
+  if (!tokens.id_token) {
+    throw new OAuthError('Provider did not return an ID token');
+  }
+
+  return tokens;
+}
+
+/**
+ * Verifikasi ID token: signature (JWKS), issuer, audience, dan nonce
+ */
+async function verifyIdToken(provider, discovered, idToken, nonce) {
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(idToken, discovered.jwks, {
+      issuer: discovered.metadata.issuer,
+      audience: provider.clientId
+    }));
+  } catch (error) {
+    console.warn(`[OAuth] ID token verification failed for ${provider.id}:`, error.message);
+    throw new OAuthError('Invalid ID token');
+  }
+
+  if (payload.nonce !== nonce) {
+    throw new OAuthError('Invalid ID token');
+  }
+
+  return payload;
+}
+
+/**
+ * Cari user dari identitas eksternal, hubungkan berdasarkan email
+ * terverifikasi, atau buat user baru
+ */
+async function findOrCreateUser(provider, claims) {
+  const identity = await prisma.oAuthIdentity.findUnique({
+    where: {
+      provider_subject: { provider: provider.id, subject: claims.sub }
+    },
+    include: {
+      user: { select: USER_SELECT }
+    }
+  });
+
+  if (identity) {
+    return identity.user;
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new OAuthError('Provider did not return a verified email address');
+  }
+
+  const existingUser = await prisma.user.findFirst({
+    where: { email: { equals: claims.email, mode: 'insensitive' } },
+    select: USER_SELECT
+  });
+
+  if (existingUser) {
+    // akun lokal yang belum diverifikasi bisa saja didaftarkan orang lain
+    if (!existingUser.emailVerifiedAt) {
+      throw new OAuthError('An account with this email exists but is not verified. Please verify it before signing in with a provider.');
+    }
+
+    await prisma.oAuthIdentity.create({
+      data: {
+        provider: provider.id,
+        subject: claims.sub,
+        email: claims.email,
+        userId: existingUser.id
+      }
+    });
+
+    return existingUser;
+  }
+
+  // user baru: password acak (login pakai provider, atau set lewat forgot-password)
+  return prisma.user.create({
+    data: {
+      name: claims.name || claims.email.split('@')[0],
+      email: claims.email,
+      password: await hashPassword(generateOpaqueToken()),
+      role: 'User',
+      emailVerifiedAt: new Date(),
+      oauthIdentities: {
+        create: {
+          provider: provider.id,
+          subject: claims.sub,
+          email: claims.email
+        }
+      }
+    },
+    select: USER_SELECT
+  });
+}
+
+/**
+ * Complete Authorization (callback)
+ *
+ * @param {Object} provider - Hasil getProvider()
+ * @param {Object} params - { code, state } dari query callback, binding dari OAUTH_STATE_COOKIE
+ * @returns {Promise<Object>} User yang login
+ * @throws {OAuthError} Jika state, cookie, code, atau ID token ditolak
+ */
+export async function completeAuthorization(provider, { code, state, binding }) {
+  const stored = await consumeState(provider, state, binding);
+  const discovered = await discover(provider);
+
+  const tokens = await exchangeCode(provider, discovered.metadata, code, stored.codeVerifier);
+  const claims = await verifyIdToken(provider, discovered, tokens.id_token, stored.nonce);
+
+  return findOrCreateUser(provider, claims);
+}
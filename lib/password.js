@@ -0,0 +1,30 @@
+/**
+ * Password Utilities
+ * 
+ * Hashing dan verifikasi password dipakai bersama oleh route auth
+ */
+
+import bcrypt from 'bcrypt';
+
+const SALT_ROUNDS = 10;
+
+/**
+ * Hash Password
+ * 
+ * @param {string} password - Password plain text
+ * @returns {Promise<string>} bcrypt hash
+ */
+export async function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Verifikasi Password
+ * 
+ * @param {string} plainPassword - Password plain text
+ * @param {string} hashedPassword - bcrypt hash dari database
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(plainPassword, hashedPassword) {
+  return bcrypt.compare(plainPassword, hashedPassword);
+}
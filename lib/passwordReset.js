@@ -0,0 +1,129 @@
+/**
+ * Password Reset
+ *
+ * Token reset bersifat single-use, punya masa berlaku, dan hanya hash-nya
+ * yang disimpan di database. Reset yang berhasil me-revoke semua session.
+ */
+
+import prisma from './prisma.js';
+import { sendMail } from './mail.js';
+import { hashPassword } from './password.js';
+import { revokeAllSessions } from './session.js';
+import { generateOpaqueToken, hashToken } from './token.js';
+
+// Environment variables
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Error untuk token reset yang ditolak (invalid, expired, sudah dipakai)
+ */
+export class PasswordResetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PasswordResetError';
+  }
+}
+
+/**
+ * Request Password Reset
+ *
+ * Tidak melempar error jika email tidak terdaftar, supaya caller bisa
+ * selalu memberi response yang sama (mencegah email enumeration).
+ *
+ * @param {string} email - Email user
+ * @returns {Promise<boolean>} true jika email reset dikirim
+ */
+export async function requestPasswordReset(email) {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, name: true, email: true }
+  });
+
+  if (!user) {
+    return false;
+  }
+
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  // token lama yang belum dipakai tidak berlaku lagi
+  await prisma.$transaction([
+    prisma.passwordResetToken.deleteMany({
+      where: { userId: user.id, usedAt: null }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt
+      }
+    })
+  ]);
+
+  const resetUrl = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hi ${user.name},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n` +
+      `If you did not request a password reset, you can ignore this email.`
+  });
+
+  return true;
+}
+
+/**
+ * Reset Password
+ *
+ * @param {string} token - Token reset dari email
+ * @param {string} newPassword - Password baru (plain text)
+ * @returns {Promise<string>} ID user yang password-nya di-reset
+ * @throws {PasswordResetError} Jika token tidak valid, expired, atau sudah dipakai
+ */
+export async function resetPassword(token, newPassword) {
+  const stored = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!stored || stored.usedAt) {
+    throw new PasswordResetError('Invalid or already used reset token');
+  }
+
+  if (stored.expiresAt.getTime() < Date.now()) {
+    throw new PasswordResetError('Reset token has expired');
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+
+  const consumed = await prisma.$transaction(async (tx) => {
+    // klaim token secara atomik supaya hanya bisa dipakai sekali
+    const claimed = await tx.passwordResetToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return false;
+    }
+
+    await tx.user.update({
+      where: { id: stored.userId },
+      data: { password: hashedPassword }
+    });
+
+    return true;
+  });
+
+  if (!consumed) {
+    throw new PasswordResetError('Invalid or already used reset token');
+  }
+
+  await revokeAllSessions(stored.userId);
+
+  return stored.userId;
+}
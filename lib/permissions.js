@@ -0,0 +1,242 @@
+/**
+ * Permission Policy
+ *
+ * Satu sumber aturan otorisasi untuk middleware.js (Edge) dan withAuth
+ * (route handler). Role dipetakan ke sekumpulan permission; route dipetakan
+ * ke permission yang dibutuhkan. Menambah role (misalnya Manager/Viewer)
+ * cukup dengan menambah entry di ROLE_PERMISSIONS (dan enum Role di Prisma).
+ *
+ * File ini dipakai di Edge runtime, jadi tidak boleh import modul Node.
+ */
+
+export const PERMISSIONS = {
+  TASK_READ_OWN: 'task:read:own',
+  TASK_READ_ANY: 'task:read:any',
+  TASK_CREATE: 'task:create',
+  TASK_UPDATE_OWN: 'task:update:own',
+  TASK_UPDATE_ANY: 'task:update:any',
+  TASK_DELETE_OWN: 'task:delete:own',
+  TASK_DELETE_ANY: 'task:delete:any',
+  TASK_PURGE: 'task:purge',
+  COMMENT_UPDATE_OWN: 'comment:update:own',
+  COMMENT_UPDATE_ANY: 'comment:update:any',
+  COMMENT_DELETE_OWN: 'comment:delete:own',
+  COMMENT_DELETE_ANY: 'comment:delete:any',
+  PROJECT_CREATE: 'project:create',
+  PROJECT_READ_ANY: 'project:read:any',
+  PROJECT_MANAGE_ANY: 'project:manage:any',
+  USER_MANAGE: 'user:manage'
+};
+
+/**
+ * Role -> Permissions
+ */
+export const ROLE_PERMISSIONS = {
+  User: [
+    PERMISSIONS.TASK_READ_OWN,
+    PERMISSIONS.TASK_CREATE,
+    PERMISSIONS.TASK_UPDATE_OWN,
+    PERMISSIONS.TASK_DELETE_OWN,
+    PERMISSIONS.COMMENT_UPDATE_OWN,
+    PERMISSIONS.COMMENT_DELETE_OWN,
+    PERMISSIONS.PROJECT_CREATE
+  ],
+  Admin: Object.values(PERMISSIONS)
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Route -> Permission yang dibutuhkan (salah satu cukup)
+ *
+ * Dicek berurutan, entry pertama yang cocok dipakai. `methods: {}` berarti
+ * cukup login. Kepemilikan resource (`:own`) dicek di handler dengan can();
+ * akses lewat assignee / share task / keanggotaan project dicek dengan
+ * canReadTask / canUpdateTask / canManageTask.
+ */
+export const ROUTE_POLICIES = [
+  {
+    pattern: '/api/users/me(/.*)?',
+    methods: {}
+  },
+  {
+    pattern: '/api/users(/.*)?',
+    methods: {
+      '*': [PERMISSIONS.USER_MANAGE]
+    }
+  },
+  {
+    pattern: '/api/projects',
+    methods: {
+      POST: [PERMISSIONS.PROJECT_CREATE]
+    }
+  },
+  {
+    // role di project (OWNER / EDITOR / VIEWER) dicek di handler
+    pattern: '/api/projects/.*',
+    methods: {}
+  },
+  {
+    pattern: '/api/tasks/trash',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/trash/[^/]+',
+    methods: {
+      DELETE: [PERMISSIONS.TASK_PURGE]
+    }
+  },
+  {
+    pattern: '/api/tasks',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      POST: [PERMISSIONS.TASK_CREATE]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      PUT: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY],
+      PATCH: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY],
+      DELETE: [PERMISSIONS.TASK_DELETE_OWN, PERMISSIONS.TASK_DELETE_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/transitions',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      POST: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/history',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/restore',
+    methods: {
+      POST: [PERMISSIONS.TASK_DELETE_OWN, PERMISSIONS.TASK_DELETE_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/subtasks(/[^/]+)?',
+    methods: {
+      POST: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY],
+      DELETE: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/dependencies(/[^/]+)?',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      POST: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY],
+      DELETE: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY]
+    }
+  },
+  {
+    // pemilik mengatur share, penerima share boleh keluar sendiri (dicek di handler)
+    pattern: '/api/tasks/[^/]+/shares(/[^/]+)?',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      POST: [PERMISSIONS.TASK_UPDATE_OWN, PERMISSIONS.TASK_UPDATE_ANY],
+      DELETE: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY]
+    }
+  },
+  {
+    // siapa pun yang bisa membaca task boleh berkomentar
+    pattern: '/api/tasks/[^/]+/comments',
+    methods: {
+      GET: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY],
+      POST: [PERMISSIONS.TASK_READ_OWN, PERMISSIONS.TASK_READ_ANY]
+    }
+  },
+  {
+    pattern: '/api/tasks/[^/]+/comments/[^/]+',
+    methods: {
+      PATCH: [PERMISSIONS.COMMENT_UPDATE_OWN, PERMISSIONS.COMMENT_UPDATE_ANY],
+      DELETE: [PERMISSIONS.COMMENT_DELETE_OWN, PERMISSIONS.COMMENT_DELETE_ANY]
+    }
+  }
+];
+
+const compiledPolicies = ROUTE_POLICIES.map(policy => ({
+  ...policy,
+  regex: new RegExp(`^${policy.pattern}$`)
+}));
+
+/**
+ * Get Permissions untuk role
+ *
+ * @param {string} role - Role user
+ * @returns {string[]} Permissions
+ */
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check Permission
+ *
+ * @param {string} role - Role user
+ * @param {string} permission - Permission, contoh 'task:read:any'
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+/**
+ * Check salah satu permission
+ *
+ * @param {string} role - Role user
+ * @param {string[]} permissions - Daftar permission
+ * @returns {boolean}
+ */
+export function hasAnyPermission(role, permissions) {
+  return permissions.some(permission => hasPermission(role, permission));
+}
+
+/**
+ * Get Roles yang punya permission tertentu
+ *
+ * @param {string} permission - Permission
+ * @returns {string[]} Daftar role
+ */
+export function getRolesWithPermission(permission) {
+  return ROLES.filter(role => hasPermission(role, permission));
+}
+
+/**
+ * Check akses ke resource berdasarkan kepemilikan
+ *
+ * `can(user, 'task:update', task.userId)` -> true jika user punya
+ * 'task:update:any', atau 'task:update:own' dan dia pemilik resource.
+ *
+ * @param {Object} user - { id, role }
+ * @param {string} action - Contoh 'task:read'
+ * @param {string} ownerId - ID pemilik resource
+ * @returns {boolean}
+ */
+export function can(user, action, ownerId) {
+  if (hasPermission(user.role, `${action}:any`)) return true;
+  return hasPermission(user.role, `${action}:own`) && user.id === ownerId;
+}
+
+/**
+ * Get Route Permissions
+ *
+ * @param {string} path - Pathname request
+ * @param {string} method - HTTP method
+ * @returns {string[]|null} Permission yang dibutuhkan, null jika cukup login
+ */
+export function getRoutePermissions(path, method) {
+  const policy = compiledPolicies.find(entry => entry.regex.test(path));
+  if (!policy) return null;
+
+  return policy.methods[method] || policy.methods['*'] || null;
+}
@@ -8,7 +8,7 @@ new PrismaClient({
   log: process.env.NODE_ENV === 'development' 
     ? ['query', 'error', 'warn'] 
     : ['error'],
-});$extends(withAccelerate());
+}).$extends(withAccelerate());
 
 if (process.env.NODE_ENV !== 'production') {
   globalForPrisma.prisma = prisma;
@@ -0,0 +1,20 @@
+/**
+ * Prisma Client untuk Edge Runtime
+ * 
+ * middleware.js berjalan di Edge runtime sehingga tidak bisa memakai
+ * client Node di lib/prisma.js. Query dikirim lewat Prisma Accelerate.
+ */
+
+import { PrismaClient } from '@prisma/client/edge';
+import { withAccelerate } from '@prisma/extension-accelerate';
+
+const globalForPrisma = globalThis;
+
+export const prismaEdge = globalForPrisma.prismaEdge ||
+  new PrismaClient().$extends(withAccelerate());
+
+if (process.env.NODE_ENV !== 'production') {
+  globalForPrisma.prismaEdge = prismaEdge;
+}
+
+export default prismaEdge;
@@ -0,0 +1,308 @@
+/**
+ * Projects
+ *
+ * Project mengelompokkan task dan punya anggota dengan role OWNER (mengatur
+ * project dan anggota), EDITOR (membuat dan mengubah task), atau VIEWER
+ * (hanya membaca). Akses ke task di dalam project ditentukan keanggotaan ini
+ * (lihat canReadTask / canUpdateTask di lib/tasks.js), bukan role global;
+ * Admin (project:read:any / project:manage:any) tetap bisa mengakses semuanya.
+ */
+
+import { z } from 'zod';
+import prisma from './prisma.js';
+import { hasPermission, PERMISSIONS } from './permissions.js';
+import { buildUpdateEvents } from './taskEvents.js';
+
+export const PROJECT_ROLES = ['OWNER', 'EDITOR', 'VIEWER'];
+
+const PROJECT_ROLE_RANK = {
+  VIEWER: 1,
+  EDITOR: 2,
+  OWNER: 3
+};
+
+export const projectNameSchema = z.string().trim().min(1, 'Name is required').max(100, 'Name too long');
+
+export const projectDescriptionSchema = z.string().max(1000, 'Description too long');
+
+export const PROJECT_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+export const PROJECT_MEMBER_SELECT = {
+  userId: true,
+  role: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * Error untuk perubahan anggota yang tidak valid
+ */
+export class ProjectMemberError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectMemberError';
+  }
+}
+
+/**
+ * Check role project minimal `minRole` (OWNER > EDITOR > VIEWER)
+ *
+ * @param {string|null} role - Role user di project, null jika bukan anggota
+ * @param {string} minRole - Role minimal
+ * @returns {boolean}
+ */
+export function hasProjectRole(role, minRole) {
+  return Boolean(role) && PROJECT_ROLE_RANK[role] >= PROJECT_ROLE_RANK[minRole];
+}
+
+/**
+ * Get Roles project minimal `minRole` (untuk Prisma where)
+ *
+ * @param {string} minRole - Role minimal
+ * @returns {string[]} Contoh getProjectRolesAtLeast('EDITOR') -> ['OWNER', 'EDITOR']
+ */
+export function getProjectRolesAtLeast(minRole) {
+  return PROJECT_ROLES.filter(role => hasProjectRole(role, minRole));
+}
+
+/**
+ * Find Project yang bisa dilihat user
+ *
+ * @param {Object} user - { id, role }
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Project + `role` user di project (null untuk
+ *   Admin yang bukan anggota), null jika tidak ada atau user bukan anggota
+ */
+export async function findProjectForUser(user, projectId) {
+  const project = await prisma.project.findUnique({
+    where: { id: projectId },
+    select: {
+      ...PROJECT_SELECT,
+      members: {
+        where: { userId: user.id },
+        select: { role: true }
+      }
+    }
+  });
+
+  if (!project) return null;
+
+  const { members, ...fields } = project;
+  const role = members[0]?.role || null;
+
+  // project orang lain dianggap tidak ada
+  if (!role && !hasPermission(user.role, PERMISSIONS.PROJECT_READ_ANY)) {
+    return null;
+  }
+
+  return { ...fields, role };
+}
+
+/**
+ * Check user boleh mengelola project dengan role minimal `minRole`
+ *
+ * @param {Object} user - { role }
+ * @param {Object} project - Hasil findProjectForUser()
+ * @param {string} minRole - OWNER untuk project & anggota, EDITOR untuk task
+ * @returns {boolean}
+ */
+export function canManageProject(user, project, minRole = 'OWNER') {
+  return hasPermission(user.role, PERMISSIONS.PROJECT_MANAGE_ANY)
+    || hasProjectRole(project.role, minRole);
+}
+
+/**
+ * Check user anggota project
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isProjectMember(projectId, userId) {
+  const member = await prisma.projectMember.findUnique({
+    where: {
+      projectId_userId: { projectId, userId }
+    },
+    select: { userId: true }
+  });
+
+  return Boolean(member);
+}
+
+/**
+ * Find Projects yang OWNER-nya hanya `userId`
+ *
+ * User seperti ini tidak boleh dihapus sebelum ownership dipindah, supaya
+ * tidak ada project tanpa OWNER.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} [{ id, name }]
+ */
+export async function findSoleOwnedProjects(userId) {
+  const projects = await prisma.project.findMany({
+    where: {
+      members: { some: { userId, role: 'OWNER' } }
+    },
+    select: {
+      id: true,
+      name: true,
+      _count: {
+        select: {
+          members: { where: { role: 'OWNER' } }
+        }
+      }
+    }
+  });
+
+  return projects
+    .filter(project => project._count.members === 1)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Delete Project
+ *
+ * Task di project (termasuk yang di trash) kembali jadi task pribadi
+ * pembuatnya. Supaya aturan task pribadi tetap berlaku, subtask yang induknya
+ * dibuat user lain dilepas dari induknya, dan assignee selain pembuat task
+ * dilepas. Semua perubahan dicatat di history task.
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} actorId - User yang menghapus project
+ * @returns {Promise<number>} Jumlah task yang dikeluarkan dari project
+ */
+export async function deleteProject(projectId, actorId) {
+  return prisma.$transaction(async (tx) => {
+    const tasks = await tx.task.findMany({
+      where: { projectId },
+      select: {
+        id: true,
+        userId: true,
+        projectId: true,
+        parentId: true,
+        assigneeId: true,
+        parent: {
+          select: { userId: true }
+        }
+      }
+    });
+
+    const changes = tasks.map(task => ({
+      task,
+      data: {
+        projectId: null,
+        ...(task.parent && task.parent.userId !== task.userId && { parentId: null }),
+        ...(task.assigneeId && task.assigneeId !== task.userId && { assigneeId: null })
+      }
+    }));
+
+    const detachIds = changes.filter(({ data }) => 'parentId' in data).map(({ task }) => task.id);
+    const unassignIds = changes.filter(({ data }) => 'assigneeId' in data).map(({ task }) => task.id);
+
+    if (detachIds.length > 0) {
+      await tx.task.updateMany({
+        where: { id: { in: detachIds } },
+        data: { parentId: null }
+      });
+    }
+
+    if (unassignIds.length > 0) {
+      await tx.task.updateMany({
+        where: { id: { in: unassignIds } },
+        data: { assigneeId: null }
+      });
+    }
+
+    await tx.task.updateMany({
+      where: { projectId },
+      data: {
+        projectId: null,
+        version: { increment: 1 }
+      }
+    });
+
+    await tx.taskEvent.createMany({
+      data: changes.flatMap(({ task, data }) => buildUpdateEvents(task, data).map(event => ({
+        taskId: task.id,
+        actorId,
+        type: event.type,
+        changes: event.changes
+      })))
+    });
+
+    await tx.project.delete({
+      where: { id: projectId }
+    });
+
+    return tasks.length;
+  });
+}
+
+/**
+ * Ubah keanggotaan dengan jaminan project tetap punya minimal satu OWNER
+ */
+async function changeMember(projectId, change) {
+  return prisma.$transaction(async (tx) => {
+    // serialisasi perubahan anggota per project supaya dua OWNER tidak bisa
+    // bersamaan menurunkan / mengeluarkan diri sendiri
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`project_members:${projectId}`}))`;
+
+    const result = await change(tx);
+    if (result.count === 0) return false;
+
+    const owners = await tx.projectMember.count({
+      where: { projectId, role: 'OWNER' }
+    });
+
+    if (owners === 0) {
+      throw new ProjectMemberError('A project must have at least one owner');
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Update Project Member Role
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Anggota
+ * @param {string} role - Role baru
+ * @returns {Promise<boolean>} false jika user bukan anggota
+ * @throws {ProjectMemberError} Jika OWNER terakhir diturunkan
+ */
+export async function updateProjectMemberRole(projectId, userId, role) {
+  return changeMember(projectId, (tx) => tx.projectMember.updateMany({
+    where: { projectId, userId },
+    data: { role }
+  }));
+}
+
+/**
+ * Remove Project Member
+ *
+ * Task yang dibuat anggota tersebut tetap di project.
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Anggota
+ * @returns {Promise<boolean>} false jika user bukan anggota
+ * @throws {ProjectMemberError} Jika OWNER terakhir dikeluarkan
+ */
+export async function removeProjectMember(projectId, userId) {
+  return changeMember(projectId, (tx) => tx.projectMember.deleteMany({
+    where: { projectId, userId }
+  }));
+}
@@ -92,8 +92,29 @@ export function notFoundResponse(message = 'Resource not found') {
 /**
  * Conflict Response (409)
  */
-export function conflictResponse(message = 'Conflict') {
-  return errorResponse(message, 409);
+export function conflictResponse(message = 'Conflict', details = null) {
+  return errorResponse(message, 409, details);
+}
+
+/**
+ * Precondition Failed Response (412)
+ */
+export function preconditionFailedResponse(message = 'Precondition failed', details = null) {
+  return errorResponse(message, 412, details);
+}
+
+/**
+ * Unsupported Media Type Response (415)
+ */
+export function unsupportedMediaTypeResponse(message = 'Unsupported media type') {
+  return errorResponse(message, 415);
+}
+
+/**
+ * Locked Response (423)
+ */
+export function lockedResponse(message = 'Resource is locked', details = null) {
+  return errorResponse(message, 423, details);
 }
 
 /**
@@ -135,6 +156,22 @@ export function methodNotAllowedResponse(message = 'Method not allowed') {
  * Paginated Response
  */
 export function paginatedResponse(data, pagination, message = 'Success') {
+  // cursor pagination: { limit, nextCursor }
+  if ('nextCursor' in pagination) {
+    return NextResponse.json(
+      {
+        success: true,
+        message,
+        data,
+        pagination: {
+          ...pagination,
+          hasNext: pagination.nextCursor !== null
+        }
+      },
+      { status: 200 }
+    );
+  }
+
   const totalPages = Math.ceil(pagination.total / pagination.limit);
 
   return NextResponse.json(
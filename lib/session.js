@@ -0,0 +1,237 @@
+/**
+ * Session & Refresh Token Store
+ *
+ * Setiap login membuat satu session (= satu token family). Refresh token
+ * disimpan dalam bentuk hash, dirotasi setiap kali dipakai, dan pemakaian
+ * ulang token yang sudah dirotasi akan me-revoke seluruh session.
+ */
+
+import { randomUUID } from 'crypto';
+import prisma from './prisma.js';
+import { generateTokens, getTokenExpiration } from './jwt.js';
+import { hashToken } from './token.js';
+
+const USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Error untuk refresh token yang ditolak (invalid, expired, atau reuse)
+ */
+export class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+/**
+ * Simpan Refresh Token ke database
+ */
+function persistRefreshToken(client, refreshToken, userId, sessionId) {
+  return client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId: sessionId,
+      userId,
+      expiresAt: getTokenExpiration(refreshToken)
+    }
+  });
+}
+
+/**
+ * Create Session
+ *
+ * Membuat session baru untuk user lalu meng-issue access + refresh token.
+ *
+ * @param {Object} user - { id, email, role }
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+export async function createSession(user, meta = {}) {
+  const sessionId = randomUUID();
+
+  const tokens = generateTokens({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    familyId: sessionId
+  });
+
+  await prisma.$transaction([
+    prisma.session.create({
+      data: {
+        id: sessionId,
+        userId: user.id,
+        userAgent: meta.userAgent || null,
+        ipAddress: meta.ipAddress || null,
+        expiresAt: getTokenExpiration(tokens.refreshToken)
+      }
+    }),
+    persistRefreshToken(prisma, tokens.refreshToken, user.id, sessionId)
+  ]);
+
+  return { ...tokens, sessionId };
+}
+
+/**
+ * Revoke Session
+ *
+ * @param {string} sessionId - Session ID (token family)
+ * @returns {Promise<boolean>} true jika session sebelumnya masih aktif
+ */
+export async function revokeSession(sessionId) {
+  const now = new Date();
+
+  const [sessions] = await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: now }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { familyId: sessionId, revokedAt: null },
+      data: { revokedAt: now }
+    })
+  ]);
+
+  return sessions.count > 0;
+}
+
+/**
+ * Revoke All Sessions ("sign out everywhere")
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptSessionId }
+ * @returns {Promise<number>} Jumlah session yang di-revoke
+ */
+export async function revokeAllSessions(userId, options = {}) {
+  const now = new Date();
+  const sessionWhere = { userId, revokedAt: null };
+  const tokenWhere = { userId, revokedAt: null };
+
+  if (options.exceptSessionId) {
+    sessionWhere.id = { not: options.exceptSessionId };
+    tokenWhere.familyId = { not: options.exceptSessionId };
+  }
+
+  const [sessions] = await prisma.$transaction([
+    prisma.session.updateMany({
+      where: sessionWhere,
+      data: { revokedAt: now }
+    }),
+    prisma.refreshToken.updateMany({
+      where: tokenWhere,
+      data: { revokedAt: now }
+    })
+  ]);
+
+  return sessions.count;
+}
+
+/**
+ * Check Session Active
+ *
+ * @param {Object|null} session - { revokedAt, expiresAt }
+ * @returns {boolean}
+ */
+export function isSessionActive(session) {
+  if (!session || session.revokedAt) return false;
+  if (session.expiresAt && session.expiresAt.getTime() < Date.now()) return false;
+  return true;
+}
+
+/**
+ * Rotate Refresh Token
+ *
+ * Token lama di-revoke dan diganti token baru dalam session yang sama.
+ * Jika token yang sudah dirotasi dipakai lagi, seluruh session di-revoke.
+ *
+ * @param {string} refreshToken - Refresh token yang sudah diverifikasi
+ * @returns {Promise<Object>} { user, tokens }
+ * @throws {RefreshTokenError} Jika token tidak valid atau terdeteksi reuse
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      session: true,
+      user: {
+        select: USER_SELECT
+      }
+    }
+  });
+
+  if (!stored) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  if (stored.session.revokedAt) {
+    throw new RefreshTokenError('Session has been revoked. Please login again.');
+  }
+
+  if (stored.user.deactivatedAt) {
+    throw new RefreshTokenError('Account has been deactivated');
+  }
+
+  if (stored.revokedAt) {
+    await revokeSession(stored.familyId);
+    console.warn(`[Session] Refresh token reuse detected for session ${stored.familyId} (user ${stored.userId})`);
+    throw new RefreshTokenError('Refresh token has been revoked. Please login again.');
+  }
+
+  if (stored.expiresAt.getTime() < Date.now()) {
+    throw new RefreshTokenError('Refresh token has expired');
+  }
+
+  const { user } = stored;
+
+  const tokens = generateTokens({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    familyId: stored.familyId
+  });
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Klaim token lama secara atomik supaya request paralel tidak bisa
+    // merotasi token yang sama dua kali
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return false;
+    }
+
+    const replacement = await persistRefreshToken(tx, tokens.refreshToken, user.id, stored.familyId);
+
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replacedById: replacement.id }
+    });
+
+    await tx.session.update({
+      where: { id: stored.familyId },
+      data: {
+        lastUsedAt: new Date(),
+        expiresAt: replacement.expiresAt
+      }
+    });
+
+    return true;
+  });
+
+  if (!rotated) {
+    await revokeSession(stored.familyId);
+    throw new RefreshTokenError('Refresh token has been revoked. Please login again.');
+  }
+
+  return { user, tokens };
+}
@@ -0,0 +1,192 @@
+/**
+ * Subtasks
+ *
+ * Task bisa punya induk (`parentId`) sampai MAX_SUBTASK_DEPTH level. Induk
+ * dan subtask harus berada di project yang sama, atau untuk task pribadi
+ * milik user yang sama. Progress induk dihitung dari
+ * subtask-nya (rekursif): COMPLETED = 100%, subtask yang punya subtask
+ * memakai progress-nya sendiri, CANCELLED tidak dihitung.
+ */
+
+import prisma from './prisma.js';
+
+export const MAX_SUBTASK_DEPTH = 5;
+
+/**
+ * Error untuk relasi induk/subtask yang tidak valid
+ */
+export class TaskHierarchyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskHierarchyError';
+  }
+}
+
+/**
+ * Get Ancestor IDs (induk, induk dari induk, ...)
+ *
+ * @param {Object} task - { parentId }
+ * @returns {Promise<string[]>}
+ */
+export async function getAncestorIds(task) {
+  const ancestorIds = [];
+  let parentId = task.parentId;
+
+  // batas iterasi menjaga dari data yang (seharusnya tidak) membentuk siklus
+  while (parentId && ancestorIds.length <= MAX_SUBTASK_DEPTH) {
+    ancestorIds.push(parentId);
+
+    const parent = await prisma.task.findUnique({
+      where: { id: parentId },
+      select: { parentId: true }
+    });
+
+    parentId = parent?.parentId;
+  }
+
+  return ancestorIds;
+}
+
+/**
+ * Get Descendant Levels (subtask yang tidak di trash, per level)
+ *
+ * @param {string} taskId - Task ID
+ * @param {Object} select - Field Prisma yang diambil (id, parentId, status selalu ikut)
+ * @returns {Promise<Object[][]>} [[anak], [cucu], ...]
+ */
+export async function getDescendantLevels(taskId, select = {}) {
+  const levels = [];
+  let parentIds = [taskId];
+
+  while (parentIds.length > 0 && levels.length < MAX_SUBTASK_DEPTH) {
+    const children = await prisma.task.findMany({
+      where: {
+        parentId: { in: parentIds },
+        deletedAt: null
+      },
+      select: {
+        ...select,
+        id: true,
+        parentId: true,
+        status: true
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    if (children.length === 0) break;
+
+    levels.push(children);
+    parentIds = children.map(child => child.id);
+  }
+
+  return levels;
+}
+
+/**
+ * Filter Subtree: buang subtask yang tidak lolos `isVisible` beserta
+ * seluruh turunannya
+ *
+ * @param {Object} task - Task root ({ id })
+ * @param {Object[][]} levels - Hasil getDescendantLevels()
+ * @param {Function} isVisible - (subtask) => boolean
+ * @returns {Object[][]} Level dengan subtask yang terlihat saja
+ */
+export function filterSubtreeLevels(task, levels, isVisible) {
+  const visibleIds = new Set([task.id]);
+
+  return levels.map(level => level.filter(subtask => {
+    if (!visibleIds.has(subtask.parentId) || !isVisible(subtask)) return false;
+
+    visibleIds.add(subtask.id);
+    return true;
+  }));
+}
+
+/**
+ * Validasi induk baru untuk task
+ *
+ * @param {Object|null} task - Task yang dipindah ({ id }), null untuk task baru
+ * @param {Object} parent - Calon induk ({ id, userId, projectId, parentId })
+ * @param {Object} scope - Pemilik dan project task ({ userId, projectId })
+ * @throws {TaskHierarchyError}
+ */
+export async function assertValidParent(task, parent, scope) {
+  if (scope.projectId) {
+    if (parent.projectId !== scope.projectId) {
+      throw new TaskHierarchyError('Subtask must belong to the same project as its parent task');
+    }
+  } else if (parent.projectId || parent.userId !== scope.userId) {
+    throw new TaskHierarchyError('Subtask must belong to the same user as its parent task');
+  }
+
+  if (task && parent.id === task.id) {
+    throw new TaskHierarchyError('A task cannot be its own parent');
+  }
+
+  const ancestorIds = [parent.id, ...await getAncestorIds(parent)];
+
+  if (task && ancestorIds.includes(task.id)) {
+    throw new TaskHierarchyError('Cannot move a task under one of its own subtasks');
+  }
+
+  const height = task ? (await getDescendantLevels(task.id)).length + 1 : 1;
+
+  if (ancestorIds.length + height > MAX_SUBTASK_DEPTH) {
+    throw new TaskHierarchyError(`Subtasks cannot be nested more than ${MAX_SUBTASK_DEPTH} levels deep`);
+  }
+}
+
+/**
+ * Progress dari daftar subtask yang progress-nya sudah dihitung
+ */
+function computeProgress(subtasks) {
+  if (subtasks.length === 0) return null;
+
+  const counted = subtasks.filter(subtask => subtask.status !== 'CANCELLED');
+  const completion = counted.map(subtask => {
+    if (subtask.status === 'COMPLETED') return 100;
+    return subtask.progress ? subtask.progress.percent : 0;
+  });
+
+  return {
+    total: subtasks.length,
+    completed: subtasks.filter(subtask => subtask.status === 'COMPLETED').length,
+    percent: completion.length > 0
+      ? Math.round(completion.reduce((sum, value) => sum + value, 0) / completion.length)
+      : 100
+  };
+}
+
+/**
+ * Build Subtree
+ *
+ * @param {Object} task - Task root
+ * @param {Object[][]} levels - Hasil getDescendantLevels()
+ * @returns {Object} { subtasks (nested, dengan progress), progress }
+ */
+export function buildSubtree(task, levels) {
+  const nodes = new Map([[task.id, { subtasks: [] }]]);
+
+  for (const level of levels) {
+    for (const subtask of level) {
+      const node = { ...subtask, subtasks: [] };
+      nodes.set(subtask.id, node);
+      nodes.get(subtask.parentId)?.subtasks.push(node);
+    }
+  }
+
+  // progress dihitung dari level terdalam ke atas
+  for (const level of [...levels].reverse()) {
+    for (const subtask of level) {
+      const node = nodes.get(subtask.id);
+      node.progress = computeProgress(node.subtasks);
+    }
+  }
+
+  const root = nodes.get(task.id);
+
+  return {
+    subtasks: root.subtasks,
+    progress: computeProgress(root.subtasks)
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Task Dependencies ("blocked by")
+ *
+ * Task A diblokir oleh task B jika ada baris TaskDependency { taskId: A, blockedById: B }.
+ * Dependency tidak boleh membentuk siklus (A -> B -> ... -> A), dan task tidak
+ * bisa dipindah ke COMPLETED selama masih ada task pemblokir yang terbuka.
+ */
+
+import prisma from './prisma.js';
+import { CLOSED_STATUSES, canReadTask, taskAccessInclude, omitTaskAccess } from './tasks.js';
+import { conflictResponse } from './response.js';
+
+export const TASK_DEPENDENCY_SELECT = {
+  id: true,
+  title: true,
+  status: true,
+  priority: true,
+  dueDate: true,
+  userId: true,
+  assigneeId: true,
+  projectId: true
+};
+
+/**
+ * Error untuk dependency yang tidak valid
+ */
+export class TaskDependencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskDependencyError';
+  }
+}
+
+/**
+ * Error saat task akan di-COMPLETED padahal masih ada pemblokir yang terbuka
+ */
+export class TaskBlockedError extends Error {
+  constructor(blockers) {
+    super('Task cannot be completed while blocking tasks are still open');
+    this.name = 'TaskBlockedError';
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Kunci graf dependency sampai transaksi selesai
+ *
+ * Hanya untuk deteksi siklus di addTaskDependency(): dua dependency baru
+ * bisa bersama-sama membentuk siklus walaupun task-nya berbeda.
+ *
+ * @param {Object} tx - Prisma transaction client
+ */
+async function lockDependencyGraph(tx) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('task_dependencies'))`;
+}
+
+/**
+ * Kunci dependency dan status task tertentu sampai transaksi selesai
+ *
+ * Dipakai saat menambah dependency (task dan pemblokirnya) dan saat mengubah
+ * status task (task itu saja), supaya pengecekan pemblokir tidak basi karena
+ * dependency baru di transaksi lain. Lock per task, diambil berurutan
+ * menurut ID supaya tidak deadlock.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {string[]} taskIds - Task ID yang dikunci
+ */
+export async function lockTaskDependencies(tx, taskIds) {
+  for (const taskId of [...new Set(taskIds)].sort()) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('task_dependencies:' || ${taskId}))`;
+  }
+}
+
+/**
+ * Check apakah `fromId` (transitif) diblokir oleh `targetId`
+ */
+async function isBlockedBy(client, fromId, targetId) {
+  const visited = new Set([fromId]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0) {
+    const edges = await client.taskDependency.findMany({
+      where: { taskId: { in: frontier } },
+      select: { blockedById: true }
+    });
+
+    frontier = [];
+    for (const { blockedById } of edges) {
+      if (blockedById === targetId) return true;
+      if (!visited.has(blockedById)) {
+        visited.add(blockedById);
+        frontier.push(blockedById);
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Add Task Dependency (idempotent)
+ *
+ * @param {string} taskId - Task yang diblokir
+ * @param {string} blockedById - Task pemblokir
+ * @returns {Promise<void>}
+ * @throws {TaskDependencyError} Jika dependency ke diri sendiri atau membentuk siklus
+ */
+export async function addTaskDependency(taskId, blockedById) {
+  if (taskId === blockedById) {
+    throw new TaskDependencyError('A task cannot be blocked by itself');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // serialisasi penambahan dependency supaya dua request paralel
+    // tidak bisa bersama-sama membentuk siklus
+    await lockDependencyGraph(tx);
+    await lockTaskDependencies(tx, [taskId, blockedById]);
+
+    if (await isBlockedBy(tx, blockedById, taskId)) {
+      throw new TaskDependencyError('This dependency would create a cycle');
+    }
+
+    await tx.taskDependency.upsert({
+      where: {
+        taskId_blockedById: { taskId, blockedById }
+      },
+      create: { taskId, blockedById },
+      update: {}
+    });
+  });
+}
+
+/**
+ * Find Open Blockers
+ *
+ * @param {string} taskId - Task ID
+ * @param {Object} user - User yang sedang login (untuk formatBlockers)
+ * @param {Object} client - Prisma client atau transaction client
+ * @returns {Promise<Object[]>} Task pemblokir yang belum COMPLETED/CANCELLED
+ */
+export async function findOpenBlockers(taskId, user, client = prisma) {
+  const dependencies = await client.taskDependency.findMany({
+    where: {
+      taskId,
+      blockedBy: {
+        deletedAt: null,
+        status: { notIn: CLOSED_STATUSES }
+      }
+    },
+    select: {
+      blockedBy: {
+        select: { ...TASK_DEPENDENCY_SELECT, ...taskAccessInclude(user) }
+      }
+    }
+  });
+
+  return dependencies.map(dependency => dependency.blockedBy);
+}
+
+/**
+ * Pastikan task boleh di-COMPLETED (panggil di dalam transaksi update,
+ * setelah lockTaskDependencies)
+ *
+ * Baris task pemblokir dikunci FOR UPDATE, jadi pemblokir tidak bisa
+ * dibuka kembali di transaksi lain sampai update ini selesai.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} taskId - Task ID
+ * @param {Object} user - User yang sedang login
+ * @throws {TaskBlockedError} Jika masih ada pemblokir yang terbuka
+ */
+export async function assertNotBlocked(tx, taskId, user) {
+  await tx.$queryRaw`
+    SELECT t."id"
+    FROM "tasks" t
+    JOIN "task_dependencies" d ON d."blockedById" = t."id"
+    WHERE d."taskId" = ${taskId}
+    ORDER BY t."id"
+    FOR UPDATE OF t
+  `;
+
+  const blockers = await findOpenBlockers(taskId, user, tx);
+
+  if (blockers.length > 0) {
+    throw new TaskBlockedError(blockers);
+  }
+}
+
+/**
+ * Format Blockers untuk response
+ *
+ * Task pemblokir yang tidak bisa dibaca user (lihat canReadTask) hanya
+ * dihitung, isinya tidak ikut dikirim.
+ *
+ * @param {Object} user - User yang sedang login
+ * @param {Object[]} blockers - Hasil findOpenBlockers()
+ * @returns {Object} { blockedBy, hiddenBlockerCount }
+ */
+export function formatBlockers(user, blockers) {
+  const readable = blockers.filter(blocker => canReadTask(user, blocker));
+
+  return {
+    blockedBy: readable.map(omitTaskAccess),
+    hiddenBlockerCount: blockers.length - readable.length
+  };
+}
+
+/**
+ * Response 409 saat task masih diblokir task lain
+ *
+ * @param {Object} user - User yang sedang login
+ * @param {Object[]} blockers - Hasil findOpenBlockers()
+ * @returns {NextResponse}
+ */
+export function taskBlockedResponse(user, blockers) {
+  return conflictResponse(new TaskBlockedError(blockers).message, formatBlockers(user, blockers));
+}
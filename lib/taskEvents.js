@@ -0,0 +1,141 @@
+/**
+ * Task Events (audit trail)
+ *
+ * Setiap perubahan task dari endpoint /api/tasks dicatat di tabel task_events.
+ * `changes` berisi diff per field: { title: { from: 'A', to: 'B' } }.
+ */
+
+// Field yang dicatat di history (field lain, mis. version, diabaikan)
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'dueDate',
+  'status',
+  'startedAt',
+  'completedAt',
+  'cancelledAt',
+  'parentId',
+  'projectId',
+  'assigneeId',
+  'labelIds'
+];
+
+// perubahan field ini dicatat sebagai STATUS_CHANGED, bukan UPDATED
+const STATUS_FIELDS = ['status', 'startedAt', 'completedAt', 'cancelledAt'];
+
+export const TASK_EVENT_TYPES = ['CREATED', 'UPDATED', 'STATUS_CHANGED', 'DELETED', 'RESTORED'];
+
+/**
+ * Field yang bisa dipilih lewat ?fields= di GET /api/tasks/:id/history
+ */
+export const TASK_EVENT_FIELDS = {
+  id: true,
+  type: true,
+  changes: true,
+  actorId: true,
+  createdAt: true,
+  actor: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function isSameValue(a, b) {
+  // daftar ID (labelIds): urutan tidak penting
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const [left, right] = [a ?? [], b ?? []];
+    return left.length === right.length && [...left].sort().join() === [...right].sort().join();
+  }
+  return toTime(a ?? null) === toTime(b ?? null);
+}
+
+// Date disimpan sebagai ISO string di kolom JSON
+function toJsonValue(value) {
+  return value instanceof Date ? value.toISOString() : (value ?? null);
+}
+
+/**
+ * Diff field task
+ *
+ * @param {Object} before - Task sebelum berubah (kosong untuk task baru)
+ * @param {Object} data - Data yang disimpan (hanya field yang di-set)
+ * @returns {Object} { field: { from, to } } untuk field yang benar-benar berubah
+ */
+export function diffTaskFields(before, data) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (isSameValue(before[field], data[field])) continue;
+
+    changes[field] = {
+      from: toJsonValue(before[field]),
+      to: toJsonValue(data[field])
+    };
+  }
+
+  return changes;
+}
+
+function pickChanges(changes, fields) {
+  return Object.fromEntries(
+    Object.entries(changes).filter(([field]) => fields.includes(field))
+  );
+}
+
+/**
+ * Event untuk satu update task
+ *
+ * Perubahan status (beserta timestamp-nya) dan perubahan field lain dicatat
+ * sebagai event terpisah supaya history status mudah dibaca.
+ *
+ * @param {Object} before - Task sebelum update
+ * @param {Object} data - Data update Prisma
+ * @returns {Object[]} [{ type, changes }], kosong jika tidak ada yang berubah
+ */
+export function buildUpdateEvents(before, data) {
+  const changes = diffTaskFields(before, data);
+  const fieldChanges = pickChanges(changes, TRACKED_FIELDS.filter(field => !STATUS_FIELDS.includes(field)));
+  const statusChanges = pickChanges(changes, STATUS_FIELDS);
+  const events = [];
+
+  if (Object.keys(fieldChanges).length > 0) {
+    events.push({ type: 'UPDATED', changes: fieldChanges });
+  }
+
+  if (statusChanges.status) {
+    events.push({ type: 'STATUS_CHANGED', changes: statusChanges });
+  }
+
+  return events;
+}
+
+/**
+ * Record Task Events
+ *
+ * @param {Object} client - prisma atau tx dari $transaction
+ * @param {string} taskId - Task ID
+ * @param {string} actorId - User yang melakukan perubahan
+ * @param {Object[]} events - [{ type, changes }]
+ * @returns {Promise<void>}
+ */
+export async function recordTaskEvents(client, taskId, actorId, events) {
+  if (events.length === 0) return;
+
+  await client.taskEvent.createMany({
+    data: events.map(event => ({
+      taskId,
+      actorId,
+      type: event.type,
+      changes: event.changes ?? undefined
+    }))
+  });
+}
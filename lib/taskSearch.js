@@ -0,0 +1,158 @@
+/**
+ * Task Full-Text Search
+ *
+ * Memakai kolom generated `searchVector` (GIN index) di tabel tasks.
+ * Sintaks query:
+ *   rapat klien        - semua kata harus ada
+ *   "laporan bulanan"  - frase (kata berurutan)
+ *   desa*              - prefix (desain, desainer, ...)
+ *
+ * Highlight ditandai dengan <mark>...</mark>. Teks task sudah di-escape HTML
+ * di server, jadi highlight aman dirender langsung sebagai HTML.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+
+// Harus sama dengan config di migration add_task_search
+const SEARCH_CONFIG = 'simple';
+
+// ts_headline memakai karakter kontrol sebagai penanda, bukan <mark> langsung:
+// teks task harus di-escape dulu, baru penanda diganti jadi <mark> (formatHighlight)
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+const TITLE_HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", HighlightAll=true`;
+const DESCRIPTION_HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" ... "`;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Pecah kata jadi lexeme yang aman untuk to_tsquery (huruf/angka saja)
+ */
+function toLexemes(word) {
+  return word
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Build tsquery
+ *
+ * Input user tidak pernah diteruskan mentah ke to_tsquery; hanya lexeme
+ * hasil toLexemes() dan operator yang dibuat di sini.
+ *
+ * @param {string} q - Query pencarian
+ * @returns {string} Query untuk to_tsquery, string kosong jika tidak ada kata
+ */
+export function buildTsQuery(q) {
+  const parts = [];
+
+  for (const match of q.matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (match[1] !== undefined) {
+      const lexemes = match[1].split(/\s+/).flatMap(toLexemes);
+      if (lexemes.length > 0) {
+        parts.push(`(${lexemes.join(' <-> ')})`);
+      }
+      continue;
+    }
+
+    const isPrefix = match[2].endsWith('*');
+    const lexemes = toLexemes(match[2]);
+    if (lexemes.length === 0) continue;
+
+    if (isPrefix) {
+      lexemes[lexemes.length - 1] += ':*';
+    }
+
+    parts.push(lexemes.length > 1 ? `(${lexemes.join(' <-> ')})` : lexemes[0]);
+  }
+
+  return parts.join(' & ');
+}
+
+/**
+ * Escape HTML hasil ts_headline lalu ubah penanda jadi <mark>...</mark>
+ *
+ * @param {string|null} headline - Output ts_headline
+ * @returns {string|null} HTML aman untuk dirender
+ */
+function formatHighlight(headline) {
+  if (headline === null) return null;
+
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+}
+
+/**
+ * Search Tasks
+ *
+ * @param {string} tsQuery - Hasil buildTsQuery()
+ * @param {Object} options - { userId (batasi ke task yang bisa diakses user), page, limit }
+ * @returns {Promise<Object>} { hits: [{ id, rank, highlights }], total }
+ */
+export async function searchTasks(tsQuery, { userId, page, limit }) {
+  // sama dengan buildAccessibleTaskWhere(): pemilik (task pribadi), anggota project, assignee, atau share
+  const ownerFilter = userId
+    ? Prisma.sql`AND (
+        (t."userId" = ${userId} AND t."projectId" IS NULL)
+        OR EXISTS (SELECT 1 FROM "project_members" m WHERE m."projectId" = t."projectId" AND m."userId" = ${userId})
+        OR t."assigneeId" = ${userId}
+        OR EXISTS (SELECT 1 FROM "task_shares" s WHERE s."taskId" = t."id" AND s."userId" = ${userId})
+      )`
+    : Prisma.empty;
+
+  const [hits, [{ total }]] = await Promise.all([
+    // highlight hanya dihitung untuk baris di halaman ini (ts_headline mahal)
+    prisma.$queryRaw`
+      WITH search AS (
+        SELECT to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) AS query
+      ),
+      hits AS (
+        SELECT t."id", t."title", t."description", t."createdAt",
+          ts_rank_cd(t."searchVector", search.query) AS "rank"
+        FROM "tasks" t, search
+        WHERE t."searchVector" @@ search.query AND t."deletedAt" IS NULL ${ownerFilter}
+        ORDER BY "rank" DESC, t."createdAt" DESC, t."id" ASC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}
+      )
+      SELECT
+        hits."id",
+        hits."rank",
+        -- buang karakter penanda dari teks asli supaya tidak bisa memalsukan <mark>
+        ts_headline(${SEARCH_CONFIG}::regconfig, translate(hits."title", chr(2) || chr(3), ''), search.query, ${TITLE_HEADLINE_OPTIONS}) AS "titleHighlight",
+        CASE WHEN hits."description" IS NULL THEN NULL
+          ELSE ts_headline(${SEARCH_CONFIG}::regconfig, translate(hits."description", chr(2) || chr(3), ''), search.query, ${DESCRIPTION_HEADLINE_OPTIONS})
+        END AS "descriptionHighlight"
+      FROM hits, search
+      ORDER BY hits."rank" DESC, hits."createdAt" DESC, hits."id" ASC
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      FROM "tasks" t, to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) query
+      WHERE t."searchVector" @@ query AND t."deletedAt" IS NULL ${ownerFilter}
+    `
+  ]);
+
+  return {
+    hits: hits.map(hit => ({
+      id: hit.id,
+      rank: Number(hit.rank),
+      highlights: {
+        title: formatHighlight(hit.titleHighlight),
+        description: formatHighlight(hit.descriptionHighlight)
+      }
+    })),
+    total
+  };
+}
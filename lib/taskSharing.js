@@ -0,0 +1,35 @@
+/**
+ * Task Assignment & Sharing
+ *
+ * Selain pemilik (`userId`), task bisa punya satu assignee (baca + ubah) dan
+ * dibagikan ke user lain sebagai VIEWER (baca + komentar) atau EDITOR (baca +
+ * ubah). Aturan aksesnya ada di canReadTask / canUpdateTask (lib/tasks.js).
+ */
+
+import prisma from './prisma.js';
+import { TASK_USER_SELECT } from './tasks.js';
+
+export const TASK_SHARE_ROLES = ['VIEWER', 'EDITOR'];
+
+export const TASK_SHARE_SELECT = {
+  userId: true,
+  role: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: TASK_USER_SELECT
+  }
+};
+
+/**
+ * Find Active User (calon assignee / penerima share)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User, null jika tidak ada atau dinonaktifkan
+ */
+export async function findActiveUser(userId) {
+  return prisma.user.findFirst({
+    where: { id: userId, deactivatedAt: null },
+    select: TASK_USER_SELECT
+  });
+}
@@ -0,0 +1,42 @@
+/**
+ * Task Trash
+ *
+ * Task yang dihapus masuk trash (`deletedAt`) dan masih bisa di-restore.
+ * Setelah TASK_TRASH_RETENTION_DAYS, task di trash dihapus permanen oleh
+ * cron /api/cron/purge-trash.
+ */
+
+import prisma from './prisma.js';
+
+// Environment variables
+export const TASK_TRASH_RETENTION_DAYS = parseInt(process.env.TASK_TRASH_RETENTION_DAYS || '30', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get Purge Date
+ *
+ * @param {Object} task - { deletedAt }
+ * @returns {Date|null} Waktu task akan dihapus permanen
+ */
+export function getPurgeDate(task) {
+  if (!task.deletedAt) return null;
+  return new Date(task.deletedAt.getTime() + TASK_TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Purge Expired Tasks
+ *
+ * @returns {Promise<number>} Jumlah task yang dihapus permanen
+ */
+export async function purgeExpiredTasks() {
+  const cutoff = new Date(Date.now() - TASK_TRASH_RETENTION_DAYS * DAY_MS);
+
+  const result = await prisma.task.deleteMany({
+    where: {
+      deletedAt: { lt: cutoff }
+    }
+  });
+
+  return result.count;
+}
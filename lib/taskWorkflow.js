@@ -0,0 +1,112 @@
+/**
+ * Task Status Workflow
+ *
+ * State machine status task. Transisi yang boleh didefinisikan di
+ * TASK_TRANSITIONS; mengubah alur cukup dengan mengubah map ini.
+ * Timestamp startedAt / completedAt / cancelledAt diisi otomatis.
+ */
+
+import { conflictResponse } from './response.js';
+
+/**
+ * Status -> status berikutnya yang diperbolehkan
+ */
+export const TASK_TRANSITIONS = {
+  PENDING: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['PENDING', 'COMPLETED', 'CANCELLED'],
+  COMPLETED: ['IN_PROGRESS'],
+  CANCELLED: ['PENDING']
+};
+
+/**
+ * Status yang boleh dipakai saat membuat task
+ */
+export const INITIAL_TASK_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+/**
+ * Error untuk transisi status yang tidak diperbolehkan
+ */
+export class TaskTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change task status from ${from} to ${to}`);
+    this.name = 'TaskTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = getAllowedTransitions(from);
+  }
+}
+
+/**
+ * Response 409 untuk transisi yang ditolak, berisi status yang diperbolehkan
+ *
+ * @param {TaskTransitionError} error - Error dari buildTransitionData()
+ * @returns {NextResponse}
+ */
+export function transitionErrorResponse(error) {
+  return conflictResponse(error.message, {
+    from: error.from,
+    to: error.to,
+    allowedTransitions: error.allowed
+  });
+}
+
+/**
+ * Get Allowed Transitions
+ *
+ * @param {string} status - Status sekarang
+ * @returns {string[]} Status berikutnya yang diperbolehkan
+ */
+export function getAllowedTransitions(status) {
+  return TASK_TRANSITIONS[status] || [];
+}
+
+/**
+ * Timestamp yang berubah saat task masuk ke status tertentu
+ */
+function getStatusTimestamps(task, to, now) {
+  switch (to) {
+    case 'PENDING':
+      return { startedAt: null, completedAt: null, cancelledAt: null };
+    case 'IN_PROGRESS':
+      // dibuka lagi dari COMPLETED: startedAt awal dipertahankan
+      return { startedAt: task.startedAt || now, completedAt: null, cancelledAt: null };
+    case 'COMPLETED':
+      return { completedAt: now };
+    case 'CANCELLED':
+      return { cancelledAt: now };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build Transition Data
+ *
+ * @param {Object} task - Task sekarang ({ status, startedAt })
+ * @param {string} to - Status tujuan
+ * @returns {Object} Data Prisma update (status + timestamp)
+ * @throws {TaskTransitionError} Jika transisi tidak diperbolehkan
+ */
+export function buildTransitionData(task, to) {
+  if (!getAllowedTransitions(task.status).includes(to)) {
+    throw new TaskTransitionError(task.status, to);
+  }
+
+  return {
+    status: to,
+    ...getStatusTimestamps(task, to, new Date())
+  };
+}
+
+/**
+ * Build Initial Status Data untuk task baru
+ *
+ * @param {string} status - Salah satu INITIAL_TASK_STATUSES
+ * @returns {Object} Data Prisma create (status + timestamp)
+ */
+export function buildInitialStatusData(status) {
+  return {
+    status,
+    ...getStatusTimestamps({ startedAt: null }, status, new Date())
+  };
+}
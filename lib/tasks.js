@@ -0,0 +1,446 @@
+/**
+ * Task Helpers
+ *
+ * Field, urutan, dan filter yang dipakai bersama oleh endpoint task.
+ */
+
+import { z } from 'zod';
+import { preconditionFailedResponse } from './response.js';
+import { can, hasPermission, getRolesWithPermission, PERMISSIONS } from './permissions.js';
+import { LABEL_SELECT } from './labels.js';
+import { hasProjectRole } from './projects.js';
+
+export const TASK_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+export const TASK_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// task dengan status ini tidak dihitung overdue dan tidak lagi memblokir task lain
+export const CLOSED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+export const TASK_USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true
+};
+
+const TASK_LABELS_SELECT = {
+  select: LABEL_SELECT,
+  orderBy: { name: 'asc' }
+};
+
+/**
+ * Relasi yang disertakan saat mengembalikan satu task
+ */
+export const TASK_INCLUDE = {
+  user: {
+    select: TASK_USER_SELECT
+  },
+  assignee: {
+    select: TASK_USER_SELECT
+  },
+  labels: TASK_LABELS_SELECT,
+  shares: {
+    select: {
+      userId: true,
+      role: true,
+      user: {
+        select: TASK_USER_SELECT
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+/**
+ * Field yang bisa dipilih lewat ?fields= (default: semua)
+ */
+export const TASK_FIELDS = {
+  id: true,
+  title: true,
+  description: true,
+  status: true,
+  priority: true,
+  dueDate: true,
+  startedAt: true,
+  completedAt: true,
+  cancelledAt: true,
+  version: true,
+  parentId: true,
+  projectId: true,
+  userId: true,
+  assigneeId: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: TASK_USER_SELECT
+  },
+  assignee: {
+    select: TASK_USER_SELECT
+  },
+  labels: TASK_LABELS_SELECT
+};
+
+export const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'completedAt', 'priority', 'status', 'title'];
+
+export const TASK_DEFAULT_SORT = '-priority,-createdAt';
+
+/**
+ * Include share dan keanggotaan project milik `user` saja, cukup untuk
+ * canReadTask / canUpdateTask / canManageTask
+ *
+ * Contoh: `include: taskAccessInclude(user)` atau
+ * `select: { id: true, userId: true, assigneeId: true, ...taskAccessInclude(user) }`
+ *
+ * @param {Object} user - { id }
+ * @returns {Object}
+ */
+export function taskAccessInclude(user) {
+  return {
+    shares: {
+      where: { userId: user.id },
+      select: { userId: true, role: true }
+    },
+    project: {
+      select: {
+        members: {
+          where: { userId: user.id },
+          select: { userId: true, role: true }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Buang field akses (shares, project) dari task sebelum dikirim ke client
+ *
+ * @param {Object} task - Task yang di-load dengan taskAccessInclude()
+ * @returns {Object}
+ */
+export function omitTaskAccess(task) {
+  return Object.fromEntries(Object.entries(task).filter(([key]) => !['shares', 'project'].includes(key)));
+}
+
+function getShareRole(user, task) {
+  return task.shares?.find(share => share.userId === user.id)?.role || null;
+}
+
+function getProjectRole(user, task) {
+  return task.project?.members?.find(member => member.userId === user.id)?.role || null;
+}
+
+/**
+ * Check akses pemilik task: untuk task pribadi pemiliknya, untuk task di
+ * project anggota OWNER / EDITOR; `*:any` (Admin) selalu boleh
+ *
+ * Dipakai untuk menghapus / me-restore task, mengganti assignee atau project,
+ * dan mengatur share.
+ *
+ * @param {Object} user - { id, role }
+ * @param {Object} task - { userId, project } (lihat taskAccessInclude)
+ * @param {string} action - 'task:update' atau 'task:delete'
+ * @returns {boolean}
+ */
+export function canManageTask(user, task, action = 'task:update') {
+  if (!task.project) {
+    return can(user, action, task.userId);
+  }
+
+  return hasPermission(user.role, `${action}:any`)
+    || hasProjectRole(getProjectRole(user, task), 'EDITOR');
+}
+
+/**
+ * Check akses baca task: pemilik (task pribadi) atau anggota project,
+ * task:read:any, assignee, atau task dibagikan ke user (VIEWER / EDITOR)
+ *
+ * Dipakai semua endpoint di bawah /api/tasks/:id supaya aturannya sama.
+ *
+ * @param {Object} user - { id, role }
+ * @param {Object} task - { userId, assigneeId, shares, project } (lihat taskAccessInclude)
+ * @returns {boolean}
+ */
+export function canReadTask(user, task) {
+  const ownerAccess = task.project
+    ? hasPermission(user.role, PERMISSIONS.TASK_READ_ANY) || getProjectRole(user, task) !== null
+    : can(user, 'task:read', task.userId);
+
+  return ownerAccess
+    || task.assigneeId === user.id
+    || getShareRole(user, task) !== null;
+}
+
+/**
+ * Check akses ubah task: canManageTask, assignee, atau share EDITOR
+ *
+ * @param {Object} user - { id, role }
+ * @param {Object} task - { userId, assigneeId, shares, project } (lihat taskAccessInclude)
+ * @returns {boolean}
+ */
+export function canUpdateTask(user, task) {
+  return canManageTask(user, task, 'task:update')
+    || task.assigneeId === user.id
+    || getShareRole(user, task) === 'EDITOR';
+}
+
+/**
+ * Prisma where untuk task yang bisa dibaca user tanpa task:read:any
+ *
+ * @param {Object} user - { id }
+ * @returns {Object} Prisma where untuk model Task
+ */
+export function buildAccessibleTaskWhere(user) {
+  return {
+    OR: [
+      { userId: user.id, projectId: null },
+      { project: { members: { some: { userId: user.id } } } },
+      { assigneeId: user.id },
+      { shares: { some: { userId: user.id } } }
+    ]
+  };
+}
+
+/**
+ * Prisma where untuk user yang bisa membaca task (pasangan canReadTask)
+ *
+ * @param {Object} task - { id, userId, assigneeId, projectId }
+ * @returns {Object} Prisma where untuk model User
+ */
+export function buildTaskReaderWhere(task) {
+  return {
+    OR: [
+      task.projectId
+        ? { projectMemberships: { some: { projectId: task.projectId } } }
+        : { id: task.userId },
+      ...(task.assigneeId ? [{ id: task.assigneeId }] : []),
+      { taskShares: { some: { taskId: task.id } } },
+      { role: { in: getRolesWithPermission(PERMISSIONS.TASK_READ_ANY) } }
+    ]
+  };
+}
+
+/**
+ * ETag task, diambil dari field version (naik setiap update)
+ *
+ * @param {Object} task - { version }
+ * @returns {string} Contoh "3"
+ */
+export function getTaskETag(task) {
+  return `"${task.version}"`;
+}
+
+/**
+ * Check header If-Match (strong comparison, `*` cocok dengan versi apapun)
+ *
+ * @param {string} header - Nilai header If-Match / If-None-Match
+ * @param {Object} task - { version }
+ * @returns {boolean}
+ */
+export function matchesETag(header, task) {
+  const etag = getTaskETag(task);
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Set header ETag di response
+ *
+ * @param {NextResponse} response - Response
+ * @param {Object} task - { version }
+ * @returns {NextResponse}
+ */
+export function withTaskETag(response, task) {
+  response.headers.set('ETag', getTaskETag(task));
+  return response;
+}
+
+/**
+ * Response 412 saat versi task sudah berubah (If-Match tidak cocok)
+ *
+ * @param {Object} task - Task terbaru
+ * @returns {NextResponse}
+ */
+export function taskVersionConflictResponse(task) {
+  return withTaskETag(
+    preconditionFailedResponse(
+      'Task has been modified by someone else. Fetch the latest version and try again.',
+      { currentVersion: task.version }
+    ),
+    task
+  );
+}
+
+/**
+ * Filter list enum: `status=PENDING,IN_PROGRESS`, prefix `!` untuk negasi
+ * (`status=!COMPLETED,CANCELLED`)
+ */
+function enumListFilter(values) {
+  return z.string().transform((value, ctx) => {
+    const negate = value.startsWith('!');
+    const items = value.replace(/^!/, '').split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = items.filter(item => !values.includes(item));
+
+    if (items.length === 0 || invalid.length > 0) {
+      ctx.addIssue({
+        code: 'custom',
+        message: `Invalid value "${invalid.join(',') || value}". Allowed: ${values.join(', ')}`
+      });
+      return z.NEVER;
+    }
+
+    return negate ? { notIn: items } : { in: items };
+  });
+}
+
+/**
+ * Filter nama label: `labels=bug,frontend` (salah satu), `labels=!bug` (tanpa label itu)
+ *
+ * Hanya label milik user yang sedang login yang dicocokkan (lihat buildTaskWhere).
+ */
+const labelListFilter = z.string().transform((value, ctx) => {
+  const negate = value.startsWith('!');
+  const names = value.replace(/^!/, '').split(',').map(name => name.trim()).filter(Boolean);
+
+  if (names.length === 0 || names.length > 20 || names.some(name => name.length > 50)) {
+    ctx.addIssue({
+      code: 'custom',
+      message: 'Must be 1 to 20 comma-separated label names'
+    });
+    return z.NEVER;
+  }
+
+  return { negate, names };
+});
+
+const booleanFilter = z.enum(['true', 'false'], { error: 'Must be true or false' })
+  .transform(value => value === 'true');
+
+const dateFilter = z.coerce.date({ error: 'Invalid date' });
+
+/**
+ * Query filter untuk GET /api/tasks
+ *
+ * dueAfter/dueBefore dan createdAfter/createdBefore inklusif.
+ */
+export const taskFilterSchema = z.object({
+  status: enumListFilter(TASK_STATUSES).optional(),
+  priority: enumListFilter(TASK_PRIORITIES).optional(),
+  dueAfter: dateFilter.optional(),
+  dueBefore: dateFilter.optional(),
+  createdAfter: dateFilter.optional(),
+  createdBefore: dateFilter.optional(),
+  overdue: booleanFilter.optional(),
+  hasDueDate: booleanFilter.optional(),
+  userId: z.string().uuid('Invalid user ID').optional(),
+  // diterapkan di route karena butuh user yang sedang login
+  assignedToMe: booleanFilter.optional(),
+  labels: labelListFilter.optional(),
+  // `none` = hanya task tanpa induk (bukan subtask)
+  parentId: z.union([z.literal('none'), z.string().uuid('Invalid parent ID')]).optional(),
+  // `none` = hanya task pribadi (di luar project)
+  projectId: z.union([z.literal('none'), z.string().uuid('Invalid project ID')]).optional(),
+  search: z.string().trim().min(1).max(200, 'Search too long').optional()
+});
+
+/**
+ * Parse filter task dari query string
+ *
+ * @param {URLSearchParams} searchParams - Query string request
+ * @returns {Object} Hasil safeParse taskFilterSchema
+ */
+export function parseTaskFilters(searchParams) {
+  const raw = {};
+
+  for (const key of Object.keys(taskFilterSchema.shape)) {
+    const value = searchParams.get(key);
+    if (value) {
+      raw[key] = value;
+    }
+  }
+
+  return taskFilterSchema.safeParse(raw);
+}
+
+function dateRange(after, before) {
+  return {
+    ...(after && { gte: after }),
+    ...(before && { lte: before })
+  };
+}
+
+/**
+ * Build Prisma where dari filter yang sudah divalidasi
+ *
+ * @param {Object} filters - Data hasil parseTaskFilters()
+ * @param {Object} user - User yang sedang login (pemilik label untuk filter labels)
+ * @returns {Object} Prisma where
+ */
+export function buildTaskWhere(filters, user) {
+  const now = new Date();
+  const conditions = [];
+
+  if (filters.status) {
+    conditions.push({ status: filters.status });
+  }
+
+  if (filters.priority) {
+    conditions.push({ priority: filters.priority });
+  }
+
+  if (filters.dueAfter || filters.dueBefore) {
+    conditions.push({ dueDate: dateRange(filters.dueAfter, filters.dueBefore) });
+  }
+
+  if (filters.createdAfter || filters.createdBefore) {
+    conditions.push({ createdAt: dateRange(filters.createdAfter, filters.createdBefore) });
+  }
+
+  if (filters.overdue === true) {
+    conditions.push({
+      dueDate: { lt: now },
+      status: { notIn: CLOSED_STATUSES }
+    });
+  } else if (filters.overdue === false) {
+    conditions.push({
+      OR: [
+        { dueDate: null },
+        { dueDate: { gte: now } },
+        { status: { in: CLOSED_STATUSES } }
+      ]
+    });
+  }
+
+  if (filters.hasDueDate !== undefined) {
+    conditions.push({ dueDate: filters.hasDueDate ? { not: null } : null });
+  }
+
+  if (filters.userId) {
+    conditions.push({ userId: filters.userId });
+  }
+
+  if (filters.labels) {
+    const labelWhere = { userId: user.id, name: { in: filters.labels.names, mode: 'insensitive' } };
+    conditions.push({
+      labels: filters.labels.negate ? { none: labelWhere } : { some: labelWhere }
+    });
+  }
+
+  if (filters.parentId) {
+    conditions.push({ parentId: filters.parentId === 'none' ? null : filters.parentId });
+  }
+
+  if (filters.projectId) {
+    conditions.push({ projectId: filters.projectId === 'none' ? null : filters.projectId });
+  }
+
+  if (filters.search) {
+    conditions.push({
+      OR: [
+        { title: { contains: filters.search, mode: 'insensitive' } },
+        { description: { contains: filters.search, mode: 'insensitive' } }
+      ]
+    });
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+}
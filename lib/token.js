@@ -0,0 +1,28 @@
+/**
+ * Opaque Token Utilities
+ * 
+ * Token acak untuk link email (reset password, verifikasi, dll).
+ * Yang disimpan di database hanya hash-nya.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+/**
+ * Generate Opaque Token
+ * 
+ * @param {number} bytes - Panjang token dalam byte
+ * @returns {string} Token base64url
+ */
+export function generateOpaqueToken(bytes = 32) {
+  return randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash Token
+ * 
+ * @param {string} token - Token mentah
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
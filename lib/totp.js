@@ -0,0 +1,202 @@
+/**
+ * TOTP Utilities (RFC 6238)
+ *
+ * Generate dan verifikasi kode 6 digit untuk authenticator app
+ * (Google Authenticator, Authy, dll) memakai HMAC-SHA1, periode 30 detik.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createHmac,
+  randomBytes,
+  timingSafeEqual
+} from 'crypto';
+
+// Environment variables
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Todo API';
+const TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 Encode (tanpa padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Base32 Decode
+ */
+function base32Decode(input) {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * Hitung kode TOTP untuk time step tertentu
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generate TOTP Secret
+ *
+ * @returns {string} Secret base32 (160 bit)
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Build otpauth:// URI untuk QR code
+ *
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Biasanya email user
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName) {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Verify TOTP Code
+ *
+ * Kode dari time step sebelumnya/berikutnya (window) masih diterima untuk
+ * toleransi selisih jam. Step yang sudah pernah dipakai ditolak (anti replay).
+ *
+ * @param {string} secret - Secret base32
+ * @param {string} code - Kode 6 digit dari user
+ * @param {Object} options - { window: 1, lastUsedStep: null }
+ * @returns {number|null} Time step yang cocok, atau null jika tidak valid
+ */
+export function verifyTotp(secret, code, options = {}) {
+  const window = options.window ?? 1;
+  const lastUsedStep = options.lastUsedStep ?? -1;
+
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate Recovery Codes
+ *
+ * @param {number} count - Jumlah kode
+ * @returns {string[]} Kode dengan format xxxxx-xxxxx
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Normalisasi recovery code sebelum di-hash
+ */
+export function normalizeRecoveryCode(code) {
+  return code.trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+/**
+ * Encrypt TOTP Secret (AES-256-GCM) sebelum disimpan di database
+ *
+ * @param {string} secret - Secret base32
+ * @returns {string} iv:authTag:ciphertext (hex)
+ */
+export function encryptSecret(secret) {
+  const key = createHash('sha256').update(TOTP_ENCRYPTION_KEY).digest();
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt TOTP Secret
+ *
+ * @param {string} payload - Hasil encryptSecret()
+ * @returns {string} Secret base32
+ */
+export function decryptSecret(payload) {
+  const key = createHash('sha256').update(TOTP_ENCRYPTION_KEY).digest();
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,168 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Enroll, konfirmasi, dan verifikasi faktor kedua (TOTP atau recovery code)
+ * untuk akun user. Secret disimpan terenkripsi, recovery code disimpan
+ * dalam bentuk hash dan hanya bisa dipakai sekali.
+ */
+
+import prisma from './prisma.js';
+import { hashToken } from './token.js';
+import {
+  buildOtpauthUri,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp
+} from './totp.js';
+
+export const TWO_FACTOR_SELECT = {
+  id: true,
+  email: true,
+  password: true,
+  twoFactorSecret: true,
+  twoFactorEnabledAt: true,
+  twoFactorLastUsedStep: true,
+  twoFactorRecoveryCodes: true
+};
+
+/**
+ * Start Enrollment
+ *
+ * Menyimpan secret baru (belum aktif sampai dikonfirmasi).
+ *
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export async function startEnrollment(user) {
+  const secret = generateTotpSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: encryptSecret(secret),
+      twoFactorEnabledAt: null,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: []
+    }
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email)
+  };
+}
+
+/**
+ * Verify TOTP Code untuk user dan tandai step-nya sebagai terpakai
+ *
+ * @param {Object} user - Hasil select TWO_FACTOR_SELECT
+ * @param {string} code - Kode 6 digit
+ * @returns {Promise<boolean>}
+ */
+export async function verifyUserTotp(user, code) {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    lastUsedStep: user.twoFactorLastUsedStep
+  });
+
+  if (step === null) return false;
+
+  // update kondisional supaya kode yang sama tidak bisa dipakai dua kali
+  const result = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+
+  return result.count > 0;
+}
+
+/**
+ * Consume Recovery Code
+ *
+ * @param {Object} user - Hasil select TWO_FACTOR_SELECT
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>}
+ */
+export async function consumeRecoveryCode(user, code) {
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+
+  if (!user.twoFactorRecoveryCodes.includes(codeHash)) return false;
+
+  const result = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      twoFactorRecoveryCodes: { has: codeHash }
+    },
+    data: {
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(hash => hash !== codeHash)
+    }
+  });
+
+  return result.count > 0;
+}
+
+/**
+ * Verify Second Factor (TOTP atau recovery code)
+ *
+ * @param {Object} user - Hasil select TWO_FACTOR_SELECT
+ * @param {string} code - Kode TOTP atau recovery code
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(user, code) {
+  if (!user.twoFactorEnabledAt) return false;
+
+  if (/^\d{6}$/.test(code)) {
+    return verifyUserTotp(user, code);
+  }
+
+  return consumeRecoveryCode(user, code);
+}
+
+/**
+ * Regenerate Recovery Codes
+ *
+ * Kode lama tidak berlaku lagi. Kode plain text hanya dikembalikan sekali.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Recovery codes
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorRecoveryCodes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    }
+  });
+
+  return codes;
+}
+
+/**
+ * Disable Two-Factor
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: []
+    }
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * User Management Helpers
+ *
+ * Dipakai oleh endpoint admin (/api/users/[id]) dan self-service (/api/users/me).
+ */
+
+import prisma from './prisma.js';
+import { hasPermission, getRolesWithPermission, PERMISSIONS } from './permissions.js';
+
+export const USER_ADMIN_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  pendingEmail: true,
+  role: true,
+  emailVerifiedAt: true,
+  deactivatedAt: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Check Admin terakhir
+ *
+ * Admin = role dengan permission user:manage. Admin aktif terakhir tidak boleh
+ * dihapus, dinonaktifkan, atau diturunkan role-nya.
+ *
+ * @param {Object} user - { role }
+ * @returns {Promise<boolean>}
+ */
+export async function isLastAdmin(user) {
+  if (!hasPermission(user.role, PERMISSIONS.USER_MANAGE)) return false;
+
+  const adminCount = await prisma.user.count({
+    where: {
+      role: { in: getRolesWithPermission(PERMISSIONS.USER_MANAGE) },
+      deactivatedAt: null
+    }
+  });
+
+  return adminCount <= 1;
+}
+
+/**
+ * Get Task Stats untuk satu user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { total, overdue, byStatus, byPriority }
+ */
+export async function getUserTaskStats(userId) {
+  const [byStatus, byPriority, overdue] = await prisma.$transaction([
+    prisma.task.groupBy({
+      by: ['status'],
+      where: { userId, deletedAt: null },
+      _count: { _all: true },
+      orderBy: { status: 'asc' }
+    }),
+    prisma.task.groupBy({
+      by: ['priority'],
+      where: { userId, deletedAt: null },
+      _count: { _all: true },
+      orderBy: { priority: 'asc' }
+    }),
+    prisma.task.count({
+      where: {
+        userId,
+        deletedAt: null,
+        dueDate: { lt: new Date() },
+        status: { notIn: ['COMPLETED', 'CANCELLED'] }
+      }
+    })
+  ]);
+
+  return {
+    total: byStatus.reduce((sum, group) => sum + group._count._all, 0),
+    overdue,
+    byStatus: Object.fromEntries(byStatus.map(group => [group.status, group._count._all])),
+    byPriority: Object.fromEntries(byPriority.map(group => [group.priority, group._count._all]))
+  };
+}
@@ -4,27 +4,63 @@
  */
 
 import { NextResponse } from 'next/server';
-import { jwtVerify } from 'jose';
+import { jwtVerify, importSPKI } from 'jose';
+import prismaEdge from './lib/prismaEdge.js';
+import { findVerificationKey, isLegacyHs256Allowed } from './lib/jwtKeys.js';
+import { getRoutePermissions, hasAnyPermission } from './lib/permissions.js';
 
 /**
  * Route Configuration (sesuaikan jika perlu)
+ * Permission per route (termasuk route admin) ada di lib/permissions.js
  */
 const ROUTE_CONFIG = {
   public: [
     '/api/auth/register',
     '/api/auth/login',
-    '/api/auth/refresh'
+    '/api/auth/login/mfa',
+    '/api/auth/refresh',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/verify-email',
+    '/api/auth/verify-email/resend',
+    '/api/auth/accept-invite',
+    '/api/auth/oauth/.*',
+    // dilindungi CRON_SECRET di route handler
+    '/api/cron/.*'
   ],
   protected: [
+    '/api/api-keys',
+    '/api/api-keys/.*',
+    '/api/auth/2fa',
+    '/api/auth/2fa/.*',
+    '/api/auth/logout',
+    '/api/auth/sessions',
+    '/api/auth/sessions/.*',
+    '/api/labels',
+    '/api/labels/.*',
+    '/api/projects',
+    '/api/projects/.*',
     '/api/tasks',
-    '/api/tasks/.*'
-  ],
-  adminOnly: [
+    '/api/tasks/.*',
     '/api/users',
     '/api/users/.*'
   ]
 };
 
+/**
+ * API key (personal access token) hanya untuk route task, label, dan project,
+ * GET/HEAD butuh scope tasks:read, method lain tasks:write
+ */
+const API_KEY_PREFIX = 'tak_';
+const API_KEY_ROUTES = [
+  '/api/labels',
+  '/api/labels/.*',
+  '/api/projects',
+  '/api/projects/.*',
+  '/api/tasks',
+  '/api/tasks/.*'
+];
+
 function matchesPattern(path, patterns) {
   return patterns.some(pattern => {
     if (pattern.includes('.*')) {
@@ -37,7 +73,6 @@ function matchesPattern(path, patterns) {
 
 function getRouteType(path) {
   if (matchesPattern(path, ROUTE_CONFIG.public)) return 'public';
-  if (matchesPattern(path, ROUTE_CONFIG.adminOnly)) return 'adminOnly';
   if (matchesPattern(path, ROUTE_CONFIG.protected)) return 'protected';
   return 'public';
 }
@@ -49,17 +84,51 @@ function errorResponse(message, status) {
   );
 }
 
+// Cache public key yang sudah di-import (per kid)
+const importedKeys = new Map();
+
+/**
+ * Pilih key verifikasi dari header token, key set sama dengan lib/jwt.js
+ * Token tanpa `kid` -> HS256 dengan JWT_SECRET (mode lama), hanya jika
+ * JWT_ALLOW_LEGACY_HS256 aktif
+ */
+async function getVerificationKey(protectedHeader) {
+  if (!protectedHeader.kid) {
+    if (!isLegacyHs256Allowed() || protectedHeader.alg !== 'HS256') {
+      throw new Error('Unsupported token algorithm');
+    }
+    // `TextEncoder` -> menghasilkan Uint8Array yang diterima jose di Edge
+    return new TextEncoder().encode(process.env.JWT_SECRET || '');
+  }
+
+  const key = findVerificationKey(protectedHeader.kid);
+  if (!key || key.alg !== protectedHeader.alg) {
+    throw new Error('Unknown signing key');
+  }
+
+  if (!importedKeys.has(key.kid)) {
+    importedKeys.set(key.kid, await importSPKI(key.publicKey, key.alg));
+  }
+
+  return importedKeys.get(key.kid);
+}
+
 /**
  * Verify token menggunakan `jose`
- * Note: process.env.JWT_SECRET harus ada (string)
+ * Note: process.env.JWT_SECRET atau JWT_KEYS harus dikonfigurasi
  */
 async function verifyTokenEdge(token) {
   try {
-    // `TextEncoder` -> menghasilkan Uint8Array yang diterima jose di Edge
-    const secret = new TextEncoder().encode(process.env.JWT_SECRET || '');
-
     // jwtVerify akan me-throw jika token invalid/expired
-    const { payload } = await jwtVerify(token, secret);
+    const { payload } = await jwtVerify(token, getVerificationKey, {
+      issuer: 'todo-api',
+      audience: 'todo-app'
+    });
+
+    // hanya access token yang boleh dipakai (bukan refresh / mfa_pending)
+    if (payload.type !== 'access') {
+      throw new Error('Invalid token type');
+    }
 
     // payload berisi klaim: id, email, role, dsb.
     return payload;
@@ -69,6 +138,75 @@ async function verifyTokenEdge(token) {
   }
 }
 
+/**
+ * Cek apakah session (claim `sid`) masih aktif dan user tidak dinonaktifkan
+ */
+async function isSessionActiveEdge(sessionId, userId) {
+  if (!sessionId) return false;
+
+  const session = await prismaEdge.session.findUnique({
+    where: { id: String(sessionId) },
+    select: {
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      user: {
+        select: { deactivatedAt: true }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.userId !== userId) return false;
+  if (session.user.deactivatedAt) return false;
+  if (session.expiresAt && new Date(session.expiresAt).getTime() < Date.now()) return false;
+
+  return true;
+}
+
+/**
+ * SHA-256 hex memakai Web Crypto (tersedia di Edge runtime)
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Verifikasi API key: harus aktif dan punya scope untuk method ini
+ * Return user ({ id, email, role }) atau throw error dengan `status`
+ */
+async function verifyApiKeyEdge(key, method) {
+  const apiKey = await prismaEdge.apiKey.findUnique({
+    where: { keyHash: await sha256Hex(key) },
+    select: {
+      scopes: true,
+      expiresAt: true,
+      revokedAt: true,
+      user: {
+        select: { id: true, email: true, role: true, deactivatedAt: true }
+      }
+    }
+  });
+
+  if (!apiKey || apiKey.revokedAt ||
+    (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() < Date.now())) {
+    throw Object.assign(new Error('Invalid, expired or revoked API key'), { status: 401 });
+  }
+
+  if (apiKey.user.deactivatedAt) {
+    throw Object.assign(new Error('Account has been deactivated'), { status: 403 });
+  }
+
+  const requiredScope = ['GET', 'HEAD'].includes(method) ? 'tasks:read' : 'tasks:write';
+  if (!apiKey.scopes.includes(requiredScope)) {
+    throw Object.assign(new Error(`API key is missing required scope: ${requiredScope}`), { status: 403 });
+  }
+
+  return apiKey.user;
+}
+
 /**
  * Main middleware
  */
@@ -85,50 +223,76 @@ export async function middleware(request) {
   }
 
   const authHeader = request.headers.get('authorization');
+  const bearerToken = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : null;
+  const apiKey = request.headers.get('x-api-key') ||
+    (bearerToken && bearerToken.startsWith(API_KEY_PREFIX) ? bearerToken : null);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    console.log('[Middleware] No token provided');
-    return errorResponse('No token provided. Please login.', 401);
-  }
+  let decoded;
+  let payload = {};
 
-  const token = authHeader.substring(7);
+  if (apiKey) {
+    if (!matchesPattern(pathname, API_KEY_ROUTES)) {
+      console.log('[Middleware] API key not allowed on this route');
+      return errorResponse('API keys cannot access this endpoint', 403);
+    }
 
-  let payload;
-  try {
-    payload = await verifyTokenEdge(token);
-  } catch (err) {
-    console.log('[Middleware] Token verification failed:', err.name, err.message);
-    return errorResponse('Invalid or expired token. Please login again.', 401);
-  }
+    try {
+      decoded = await verifyApiKeyEdge(apiKey, request.method);
+    } catch (err) {
+      console.log('[Middleware] API key verification failed:', err.message);
+      return errorResponse(err.status ? err.message : 'Unable to verify API key. Please try again.', err.status || 503);
+    }
 
-  // Ambil claim yang diperlukan dari payload (sesuaikan nama klaim di tokenmu)
-  const decoded = {
-    id: payload.id || payload.sub || null,
-    email: payload.email || null,
-    role: payload.role || payload.roles || 'User',
-  };
+    console.log(`[Middleware] API key valid for user: ${decoded.id} (${decoded.role})`);
+  } else {
+    if (!bearerToken) {
+      console.log('[Middleware] No token provided');
+      return errorResponse('No token provided. Please login.', 401);
+    }
 
-  console.log(`[Middleware] Token valid for user: ${decoded.id} (${decoded.role})`);
+    try {
+      payload = await verifyTokenEdge(bearerToken);
+    } catch (err) {
+      console.log('[Middleware] Token verification failed:', err.name, err.message);
+      return errorResponse('Invalid or expired token. Please login again.', 401);
+    }
 
-  // Autorisasi route admin
-  if (routeType === 'adminOnly' && decoded.role !== 'Admin') {
-    console.log('[Middleware] Access denied - Admin role required');
-    return errorResponse('Access denied. Admin role required.', 403);
-  }
+    // Ambil claim yang diperlukan dari payload (sesuaikan nama klaim di tokenmu)
+    decoded = {
+      id: payload.id || payload.sub || null,
+      email: payload.email || null,
+      role: payload.role || payload.roles || 'User',
+    };
 
-  // DELETE /api/tasks/:id requires Admin
-  if (request.method === 'DELETE' && pathname.startsWith('/api/tasks/')) {
-    if (decoded.role !== 'Admin') {
-      console.log('[Middleware] Access denied - DELETE tasks requires Admin role');
-      return errorResponse('Access denied. Only Admin can delete tasks.', 403);
+    console.log(`[Middleware] Token valid for user: ${decoded.id} (${decoded.role})`);
+
+    // Tolak token dari session yang sudah di-revoke (logout / sign out everywhere)
+    try {
+      if (!(await isSessionActiveEdge(payload.sid, decoded.id))) {
+        console.log('[Middleware] Session revoked or expired');
+        return errorResponse('Session has been revoked. Please login again.', 401);
+      }
+    } catch (err) {
+      console.error('[Middleware] Session check failed:', err);
+      return errorResponse('Unable to verify session. Please try again.', 503);
     }
   }
 
+  // Autorisasi berdasarkan permission policy (sama dengan withAuth di route handler)
+  const requiredPermissions = getRoutePermissions(pathname, request.method);
+  if (requiredPermissions && !hasAnyPermission(decoded.role, requiredPermissions)) {
+    console.log(`[Middleware] Access denied - missing permission: ${requiredPermissions.join(' or ')}`);
+    return errorResponse(`Access denied. Required permission: ${requiredPermissions.join(' or ')}`, 403);
+  }
+
   // Tambahkan header custom agar API route menerima info user
   const requestHeaders = new Headers(request.headers);
   if (decoded.id) requestHeaders.set('x-user-id', String(decoded.id));
   if (decoded.email) requestHeaders.set('x-user-email', String(decoded.email));
   if (decoded.role) requestHeaders.set('x-user-role', String(decoded.role));
+  if (payload.sid) requestHeaders.set('x-session-id', String(payload.sid));
 
   console.log('[Middleware] Request authorized - continuing to handler');
 
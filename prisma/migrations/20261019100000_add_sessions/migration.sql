@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- Backfill: setiap token family yang sudah ada menjadi satu session
+INSERT INTO "sessions" ("id", "userId", "lastUsedAt", "expiresAt", "revokedAt", "createdAt")
+SELECT
+    "familyId",
+    MIN("userId"),
+    MAX("createdAt"),
+    MAX("expiresAt"),
+    CASE WHEN BOOL_AND("revokedAt" IS NOT NULL) THEN MAX("revokedAt") END,
+    MIN("createdAt")
+FROM "refresh_tokens"
+GROUP BY "familyId";
+
+-- CreateIndex
+CREATE INDEX "sessions_userId_idx" ON "sessions"("userId");
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_familyId_fkey" FOREIGN KEY ("familyId") REFERENCES "sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- User yang sudah terdaftar sebelum verifikasi email dianggap terverifikasi
+UPDATE "users" SET "emailVerifiedAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "email_verification_tokens" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_verification_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "email_verification_tokens_tokenHash_key" ON "email_verification_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "email_verification_tokens_userId_idx" ON "email_verification_tokens"("userId");
+
+-- AddForeignKey
+ALTER TABLE "email_verification_tokens" ADD CONSTRAINT "email_verification_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
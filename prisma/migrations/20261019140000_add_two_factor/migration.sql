@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "twoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "twoFactorLastUsedStep" INTEGER,
+ADD COLUMN     "twoFactorRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "twoFactorSecret" TEXT;
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "login_throttles" (
+    "email" TEXT NOT NULL,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "lastFailedAt" TIMESTAMP(3) NOT NULL,
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_throttles_pkey" PRIMARY KEY ("email")
+);
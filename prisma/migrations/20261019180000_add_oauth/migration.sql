@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "oauth_identities" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "oauth_states" (
+    "id" TEXT NOT NULL,
+    "stateHash" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_states_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "oauth_identities_userId_idx" ON "oauth_identities"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_identities_provider_subject_key" ON "oauth_identities"("provider", "subject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_states_stateHash_key" ON "oauth_states"("stateHash");
+
+-- AddForeignKey
+ALTER TABLE "oauth_identities" ADD CONSTRAINT "oauth_identities_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
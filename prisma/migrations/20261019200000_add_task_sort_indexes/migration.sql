@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "tasks_priority_createdAt_idx" ON "tasks"("priority", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "tasks_dueDate_idx" ON "tasks"("dueDate");
@@ -0,0 +1,9 @@
+-- AlterTable
+-- Config 'simple' (tanpa stemming) karena isi task campuran bahasa Indonesia dan Inggris
+ALTER TABLE "tasks" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "tasks_searchVector_idx" ON "tasks" USING GIN ("searchVector");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "startedAt" TIMESTAMP(3);
+
+-- Backfill: waktu pasti tidak diketahui, pakai updatedAt sebagai perkiraan
+UPDATE "tasks" SET "startedAt" = "updatedAt" WHERE "status" IN ('IN_PROGRESS', 'COMPLETED');
+UPDATE "tasks" SET "completedAt" = "updatedAt" WHERE "status" = 'COMPLETED';
+UPDATE "tasks" SET "cancelledAt" = "updatedAt" WHERE "status" = 'CANCELLED';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "tasks_deletedAt_idx" ON "tasks"("deletedAt");
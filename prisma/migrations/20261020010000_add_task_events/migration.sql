@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "TaskEventType" AS ENUM ('CREATED', 'UPDATED', 'STATUS_CHANGED', 'DELETED', 'RESTORED');
+
+-- CreateTable
+CREATE TABLE "task_events" (
+    "id" TEXT NOT NULL,
+    "taskId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "type" "TaskEventType" NOT NULL,
+    "changes" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "task_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "task_events_taskId_createdAt_idx" ON "task_events"("taskId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "task_events_actorId_idx" ON "task_events"("actorId");
+
+-- AddForeignKey
+ALTER TABLE "task_events" ADD CONSTRAINT "task_events_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_events" ADD CONSTRAINT "task_events_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "parentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "task_dependencies" (
+    "taskId" TEXT NOT NULL,
+    "blockedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "task_dependencies_pkey" PRIMARY KEY ("taskId","blockedById")
+);
+
+-- CreateIndex
+CREATE INDEX "tasks_parentId_idx" ON "tasks"("parentId");
+
+-- CreateIndex
+CREATE INDEX "task_dependencies_blockedById_idx" ON "task_dependencies"("blockedById");
+
+-- AddForeignKey
+ALTER TABLE "tasks" ADD CONSTRAINT "tasks_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "tasks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_dependencies" ADD CONSTRAINT "task_dependencies_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_dependencies" ADD CONSTRAINT "task_dependencies_blockedById_fkey" FOREIGN KEY ("blockedById") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "TaskShareRole" AS ENUM ('VIEWER', 'EDITOR');
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "assigneeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "task_shares" (
+    "taskId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "TaskShareRole" NOT NULL DEFAULT 'VIEWER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "task_shares_pkey" PRIMARY KEY ("taskId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "tasks_assigneeId_idx" ON "tasks"("assigneeId");
+
+-- CreateIndex
+CREATE INDEX "task_shares_userId_idx" ON "task_shares"("userId");
+
+-- AddForeignKey
+ALTER TABLE "tasks" ADD CONSTRAINT "tasks_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_shares" ADD CONSTRAINT "task_shares_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_shares" ADD CONSTRAINT "task_shares_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
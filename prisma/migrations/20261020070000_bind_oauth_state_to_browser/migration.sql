@@ -0,0 +1,8 @@
+-- State yang masih berjalan tidak punya binding dan harus dimulai ulang
+DELETE FROM "oauth_states";
+
+-- AlterTable
+ALTER TABLE "oauth_states" ADD COLUMN "bindingHash" TEXT NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "oauth_states_expiresAt_idx" ON "oauth_states"("expiresAt");
@@ -0,0 +1,3 @@
+-- CreateIndex
+-- nama label unik per user tanpa membedakan huruf besar/kecil (sama dengan isLabelNameTaken)
+CREATE UNIQUE INDEX "labels_userId_lower_name_key" ON "labels"("userId", lower("name"));
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { randomUUID } from 'crypto';
+
+// Butuh database yang sudah di-migrate: DATABASE_URL=... npm test
+describe.skipIf(!process.env.DATABASE_URL)('rotateRefreshToken', () => {
+  let prisma;
+  let createSession;
+  let rotateRefreshToken;
+  let RefreshTokenError;
+  let user;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET ??= 'test-access-secret';
+    process.env.JWT_REFRESH_SECRET ??= 'test-refresh-secret';
+
+    // import setelah env di-set: lib/jwt.js membaca secret saat di-load
+    ({ default: prisma } = await import('../../lib/prisma.js'));
+    ({ createSession, rotateRefreshToken, RefreshTokenError } = await import('../../lib/session.js'));
+
+    user = await prisma.user.create({
+      data: {
+        name: 'Refresh Test',
+        email: `refresh-${randomUUID()}@example.test`,
+        password: 'not-a-real-hash'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (user) {
+      await prisma.user.delete({ where: { id: user.id } });
+    }
+    await prisma.$disconnect();
+  });
+
+  it('issues a new refresh token in the same session', async () => {
+    const session = await createSession(user);
+    const { tokens } = await rotateRefreshToken(session.refreshToken);
+
+    expect(tokens.refreshToken).not.toBe(session.refreshToken);
+    await expect(rotateRefreshToken(tokens.refreshToken)).resolves.toBeDefined();
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    const session = await createSession(user);
+    const { tokens } = await rotateRefreshToken(session.refreshToken);
+
+    await expect(rotateRefreshToken(session.refreshToken)).rejects.toThrow(RefreshTokenError);
+
+    // token terbaru ikut tidak berlaku karena session-nya sudah di-revoke
+    await expect(rotateRefreshToken(tokens.refreshToken)).rejects.toThrow(RefreshTokenError);
+
+    const stored = await prisma.session.findUnique({ where: { id: session.sessionId } });
+    expect(stored.revokedAt).toBeInstanceOf(Date);
+  });
+
+  it('rotates a token only once when it is used concurrently', async () => {
+    const session = await createSession(user);
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(session.refreshToken),
+      rotateRefreshToken(session.refreshToken)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled').length).toBeLessThanOrEqual(1);
+    expect(results.some(result => result.status === 'rejected')).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { randomUUID } from 'crypto';
+
+// Butuh database yang sudah di-migrate: DATABASE_URL=... npm test
+describe.skipIf(!process.env.DATABASE_URL)('addTaskDependency', () => {
+  let prisma;
+  let addTaskDependency;
+  let TaskDependencyError;
+  let user;
+  let tasks;
+
+  beforeAll(async () => {
+    ({ default: prisma } = await import('../../lib/prisma.js'));
+    ({ addTaskDependency, TaskDependencyError } = await import('../../lib/taskDependencies.js'));
+
+    user = await prisma.user.create({
+      data: {
+        name: 'Dependency Test',
+        email: `dependency-${randomUUID()}@example.test`,
+        password: 'not-a-real-hash'
+      }
+    });
+
+    tasks = {};
+    for (const title of ['A', 'B', 'C']) {
+      tasks[title] = await prisma.task.create({
+        data: { title, userId: user.id }
+      });
+    }
+  });
+
+  afterAll(async () => {
+    // task dan dependency-nya ikut terhapus (onDelete: Cascade)
+    if (user) {
+      await prisma.user.delete({ where: { id: user.id } });
+    }
+    await prisma.$disconnect();
+  });
+
+  it('rejects a task blocking itself', async () => {
+    await expect(addTaskDependency(tasks.A.id, tasks.A.id)).rejects.toThrow(TaskDependencyError);
+  });
+
+  it('rejects a dependency that closes a cycle', async () => {
+    // A diblokir B, B diblokir C
+    await addTaskDependency(tasks.A.id, tasks.B.id);
+    await addTaskDependency(tasks.B.id, tasks.C.id);
+
+    // C diblokir A -> A -> B -> C -> A
+    await expect(addTaskDependency(tasks.C.id, tasks.A.id)).rejects.toThrow('This dependency would create a cycle');
+    await expect(addTaskDependency(tasks.B.id, tasks.A.id)).rejects.toThrow(TaskDependencyError);
+
+    const count = await prisma.taskDependency.count({ where: { taskId: { in: [tasks.B.id, tasks.C.id] }, blockedById: tasks.A.id } });
+    expect(count).toBe(0);
+  });
+
+  it('allows the same dependency twice and transitive shortcuts', async () => {
+    await expect(addTaskDependency(tasks.A.id, tasks.B.id)).resolves.toBeUndefined();
+    await expect(addTaskDependency(tasks.A.id, tasks.C.id)).resolves.toBeUndefined();
+
+    const count = await prisma.taskDependency.count({ where: { taskId: tasks.A.id } });
+    expect(count).toBe(2);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi } from 'vitest';
+import { filterSubtreeLevels, buildSubtree } from '../../lib/subtasks.js';
+
+// helper yang dites tidak menyentuh database
+vi.mock('../../lib/prisma.js', () => ({ default: {} }));
+
+const root = { id: 'root' };
+
+// root
+// ├── a (COMPLETED)
+// ├── b (IN_PROGRESS)
+// │   ├── c (COMPLETED)
+// │   └── d (PENDING)
+// │       └── e (COMPLETED)
+// └── f (CANCELLED)
+const levels = [
+  [
+    { id: 'a', parentId: 'root', status: 'COMPLETED' },
+    { id: 'b', parentId: 'root', status: 'IN_PROGRESS' },
+    { id: 'f', parentId: 'root', status: 'CANCELLED' }
+  ],
+  [
+    { id: 'c', parentId: 'b', status: 'COMPLETED' },
+    { id: 'd', parentId: 'b', status: 'PENDING' }
+  ],
+  [
+    { id: 'e', parentId: 'd', status: 'COMPLETED' }
+  ]
+];
+
+const ids = result => result.map(level => level.map(subtask => subtask.id));
+
+describe('filterSubtreeLevels', () => {
+  it('keeps every subtask when all are visible', () => {
+    expect(ids(filterSubtreeLevels(root, levels, () => true))).toEqual([['a', 'b', 'f'], ['c', 'd'], ['e']]);
+  });
+
+  it('drops a hidden subtask together with all of its descendants', () => {
+    const visible = filterSubtreeLevels(root, levels, subtask => subtask.id !== 'b');
+
+    expect(ids(visible)).toEqual([['a', 'f'], [], []]);
+  });
+
+  it('keeps visible siblings of a hidden subtask', () => {
+    const visible = filterSubtreeLevels(root, levels, subtask => subtask.id !== 'd');
+
+    expect(ids(visible)).toEqual([['a', 'b', 'f'], ['c'], []]);
+  });
+});
+
+describe('buildSubtree', () => {
+  it('nests subtasks under their parents', () => {
+    const { subtasks } = buildSubtree(root, levels);
+
+    expect(subtasks.map(subtask => subtask.id)).toEqual(['a', 'b', 'f']);
+    expect(subtasks[1].subtasks.map(subtask => subtask.id)).toEqual(['c', 'd']);
+    expect(subtasks[1].subtasks[1].subtasks.map(subtask => subtask.id)).toEqual(['e']);
+  });
+
+  it('computes progress bottom-up and leaves cancelled subtasks out of the percentage', () => {
+    const { subtasks, progress } = buildSubtree(root, levels);
+    const [a, b] = subtasks;
+
+    expect(a.progress).toBeNull();
+    expect(b.subtasks[1].progress).toEqual({ total: 1, completed: 1, percent: 100 });
+    // c = 100, d = 100 (dari e)
+    expect(b.progress).toEqual({ total: 2, completed: 1, percent: 100 });
+    // a = 100, b = 100, f tidak dihitung
+    expect(progress).toEqual({ total: 3, completed: 1, percent: 100 });
+  });
+
+  it('counts an open subtask without children as 0%', () => {
+    const { progress } = buildSubtree(root, [[
+      { id: 'a', parentId: 'root', status: 'COMPLETED' },
+      { id: 'b', parentId: 'root', status: 'PENDING' }
+    ]]);
+
+    expect(progress).toEqual({ total: 2, completed: 1, percent: 50 });
+  });
+
+  it('returns no progress for a task without subtasks', () => {
+    expect(buildSubtree(root, [])).toEqual({ subtasks: [], progress: null });
+  });
+});
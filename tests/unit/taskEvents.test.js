@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { diffTaskFields, buildUpdateEvents } from '../../lib/taskEvents.js';
+
+describe('diffTaskFields', () => {
+  it('records changed fields with from/to and stores dates as ISO strings', () => {
+    const before = { title: 'Lama', dueDate: null };
+    const dueDate = new Date('2026-05-01T10:00:00Z');
+
+    expect(diffTaskFields(before, { title: 'Baru', dueDate })).toEqual({
+      title: { from: 'Lama', to: 'Baru' },
+      dueDate: { from: null, to: '2026-05-01T10:00:00.000Z' }
+    });
+  });
+
+  it('skips fields that are unset, unchanged or not tracked', () => {
+    const before = {
+      title: 'Sama',
+      dueDate: new Date('2026-05-01T10:00:00Z'),
+      description: null,
+      version: 1
+    };
+
+    const changes = diffTaskFields(before, {
+      title: 'Sama',
+      dueDate: new Date('2026-05-01T10:00:00Z'),
+      description: undefined,
+      version: 2
+    });
+
+    expect(changes).toEqual({});
+  });
+
+  it('ignores the order of labelIds', () => {
+    expect(diffTaskFields({ labelIds: ['a', 'b'] }, { labelIds: ['b', 'a'] })).toEqual({});
+    expect(diffTaskFields({ labelIds: ['a'] }, { labelIds: ['a', 'b'] })).toEqual({
+      labelIds: { from: ['a'], to: ['a', 'b'] }
+    });
+  });
+});
+
+describe('buildUpdateEvents', () => {
+  it('splits field changes and status changes into separate events', () => {
+    const completedAt = new Date('2026-05-02T08:00:00Z');
+    const events = buildUpdateEvents(
+      { title: 'A', status: 'IN_PROGRESS', completedAt: null },
+      { title: 'B', status: 'COMPLETED', completedAt }
+    );
+
+    expect(events).toEqual([
+      { type: 'UPDATED', changes: { title: { from: 'A', to: 'B' } } },
+      {
+        type: 'STATUS_CHANGED',
+        changes: {
+          status: { from: 'IN_PROGRESS', to: 'COMPLETED' },
+          completedAt: { from: null, to: '2026-05-02T08:00:00.000Z' }
+        }
+      }
+    ]);
+  });
+
+  it('does not emit STATUS_CHANGED for timestamp-only changes', () => {
+    const events = buildUpdateEvents({ status: 'PENDING', startedAt: null }, { startedAt: new Date() });
+
+    expect(events).toEqual([]);
+  });
+
+  it('returns no events when nothing changed', () => {
+    expect(buildUpdateEvents({ title: 'A' }, { title: 'A' })).toEqual([]);
+  });
+});
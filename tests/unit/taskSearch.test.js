@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { buildTsQuery } from '../../lib/taskSearch.js';
+
+// helper yang dites tidak menyentuh database
+vi.mock('../../lib/prisma.js', () => ({ default: {} }));
+
+describe('buildTsQuery', () => {
+  it('joins words with AND', () => {
+    expect(buildTsQuery('rapat klien')).toBe('rapat & klien');
+  });
+
+  it('turns quoted text into a phrase', () => {
+    expect(buildTsQuery('"laporan bulanan" klien')).toBe('(laporan <-> bulanan) & klien');
+  });
+
+  it('supports prefix search with a trailing *', () => {
+    expect(buildTsQuery('desa*')).toBe('desa:*');
+  });
+
+  it('lowercases words and splits them on punctuation', () => {
+    expect(buildTsQuery('Rapat e-mail')).toBe('rapat & (e <-> mail)');
+  });
+
+  it('drops tsquery operators from user input', () => {
+    expect(buildTsQuery('a:* | !b & (c)')).toBe('a:* & b & c');
+    expect(buildTsQuery("'x' <-> y")).toBe('x & y');
+  });
+
+  it('returns an empty string when there are no words', () => {
+    expect(buildTsQuery('')).toBe('');
+    expect(buildTsQuery('  !& "" * ')).toBe('');
+  });
+});
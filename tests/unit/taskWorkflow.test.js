@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildTransitionData, TaskTransitionError } from '../../lib/taskWorkflow.js';
+
+describe('buildTransitionData', () => {
+  it('sets startedAt and clears the closing timestamps when a task is started', () => {
+    const data = buildTransitionData({ status: 'PENDING', startedAt: null }, 'IN_PROGRESS');
+
+    expect(data.status).toBe('IN_PROGRESS');
+    expect(data.startedAt).toBeInstanceOf(Date);
+    expect(data.completedAt).toBeNull();
+    expect(data.cancelledAt).toBeNull();
+  });
+
+  it('keeps the original startedAt when a completed task is reopened', () => {
+    const startedAt = new Date('2026-01-01T00:00:00Z');
+    const data = buildTransitionData({ status: 'COMPLETED', startedAt }, 'IN_PROGRESS');
+
+    expect(data.startedAt).toBe(startedAt);
+    expect(data.completedAt).toBeNull();
+  });
+
+  it('only sets completedAt when a task is completed', () => {
+    const data = buildTransitionData({ status: 'IN_PROGRESS', startedAt: new Date() }, 'COMPLETED');
+
+    expect(Object.keys(data).sort()).toEqual(['completedAt', 'status']);
+    expect(data.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('clears every timestamp when a cancelled task goes back to PENDING', () => {
+    const data = buildTransitionData({ status: 'CANCELLED', startedAt: new Date() }, 'PENDING');
+
+    expect(data).toEqual({ status: 'PENDING', startedAt: null, completedAt: null, cancelledAt: null });
+  });
+
+  it('rejects transitions that are not in TASK_TRANSITIONS', () => {
+    expect(() => buildTransitionData({ status: 'PENDING' }, 'COMPLETED')).toThrow(TaskTransitionError);
+    expect(() => buildTransitionData({ status: 'COMPLETED' }, 'CANCELLED')).toThrow(TaskTransitionError);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { canReadTask } from '../../lib/tasks.js';
+
+// helper yang dites tidak menyentuh database
+vi.mock('../../lib/prisma.js', () => ({ default: {} }));
+
+const owner = { id: 'owner', role: 'User' };
+const stranger = { id: 'stranger', role: 'User' };
+const admin = { id: 'admin', role: 'Admin' };
+
+const privateTask = { userId: 'owner', assigneeId: null, shares: [], project: null };
+
+function projectTask(members) {
+  return { userId: 'owner', assigneeId: null, shares: [], project: { members } };
+}
+
+describe('canReadTask', () => {
+  it('allows the owner of a private task', () => {
+    expect(canReadTask(owner, privateTask)).toBe(true);
+  });
+
+  it('denies other users', () => {
+    expect(canReadTask(stranger, privateTask)).toBe(false);
+  });
+
+  it('allows users with task:read:any', () => {
+    expect(canReadTask(admin, privateTask)).toBe(true);
+    expect(canReadTask(admin, projectTask([]))).toBe(true);
+  });
+
+  it('allows the assignee', () => {
+    expect(canReadTask(stranger, { ...privateTask, assigneeId: 'stranger' })).toBe(true);
+  });
+
+  it('allows users the task is shared with', () => {
+    const shared = { ...privateTask, shares: [{ userId: 'stranger', role: 'VIEWER' }] };
+
+    expect(canReadTask(stranger, shared)).toBe(true);
+  });
+
+  it('allows any project member, including viewers', () => {
+    const task = projectTask([{ userId: 'stranger', role: 'VIEWER' }]);
+
+    expect(canReadTask(stranger, task)).toBe(true);
+  });
+
+  it('denies the creator of a project task once they are no longer a member', () => {
+    expect(canReadTask(owner, projectTask([]))).toBe(false);
+  });
+});